@@ -1,23 +1,39 @@
 // append-new-items.mjs (ESM)
 // Goal: Append missing Shopify inventory items into Truth_Table.
 
-import { google } from "googleapis";
+import { createAuditLog } from "./lib/audit-log.mjs";
+import { createChangePlan, isDryRun } from "./lib/change-plan.mjs";
+import { QUANTITY_STATE_COLUMNS, buildLocationLevelMaps } from "./lib/inventory-quantities.mjs";
+import { LOCATION_IDS, itemLocationKey, requireLocationIds, resolveRowLocationId } from "./lib/locations.mjs";
+import { fetchInventoryBulk } from "./lib/shopify-bulk.mjs";
+import { appendSheetTabRows, getSheetsClient, readTable } from "./lib/sheets.mjs";
+import { shopifyGraphql } from "./lib/shopify-client.mjs";
+import { TRUTH_TABLE_HEADERS, cellString } from "./lib/truth-table-schema.mjs";
 
 const CONFIG = {
   spreadsheetId: process.env.SPREADSHEET_ID,
   sheetName: process.env.SHEET_NAME || "Truth_Table",
 
-  headers: {
-    category: "Category",
-    productTitle: "Product_Title",
-    variantTitle: "Variant_Title",
-    sku: "SKU",
-    desired: "Desired_Available",
-    available: "Available",
-    status: "ReverseSync_Status",
-    lastPushedAt: "ReverseSync_LastPushedAt",
-    lastError: "ReverseSync_LastError",
-    inventoryItemId: "InventoryItem_ID",
+  // Columns are resolved from the header row (lib/truth-table-schema.mjs)
+  columns: {
+    required: ["inventoryItemId"],
+    optional: [
+      "category",
+      "productTitle",
+      "variantTitle",
+      "sku",
+      "desired",
+      "available",
+      "status",
+      "lastPushedAt",
+      "lastError",
+      "locationId",
+      "onHand",
+      "committed",
+      "incoming",
+      "reserved",
+      "damaged",
+    ],
   },
 
   maxRowsPerRun: Number(process.env.MAX_ROWS_PER_RUN || "200"),
@@ -27,7 +43,10 @@ const CONFIG = {
     .filter(Boolean),
 
   shopDomain: process.env.SHOPIFY_STORE_DOMAIN,
-  locationId: process.env.SHOPIFY_LOCATION_ID, // gid://shopify/Location/...
+
+  // "paged" (location.inventoryLevels, max 10 x 250 levels per location) or
+  // "bulk" (bulkOperationRunQuery, no ceiling)
+  inventorySource: process.env.INVENTORY_SOURCE || "paged",
 };
 
 function requireEnv(name) {
@@ -36,51 +55,7 @@ function requireEnv(name) {
   return v;
 }
 
-async function getSheetsClient() {
-  const auth = new google.auth.GoogleAuth({
-    scopes: ["https://www.googleapis.com/auth/spreadsheets"],
-  });
-  return google.sheets({ version: "v4", auth });
-}
-
-async function shopifyGraphql(query, variables) {
-  const shopDomain = requireEnv("SHOPIFY_STORE_DOMAIN");
-  const token = requireEnv("SHOPIFY_ADMIN_TOKEN");
-  const url = `https://${shopDomain}/admin/api/2025-10/graphql.json`;
-
-  const resp = await fetch(url, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "X-Shopify-Access-Token": token,
-    },
-    body: JSON.stringify({ query, variables }),
-  });
-
-  const json = await resp.json().catch(() => ({}));
-
-  if (!resp.ok) throw new Error(`Shopify HTTP ${resp.status}: ${JSON.stringify(json).slice(0, 500)}`);
-  if (json.errors?.length) throw new Error(`Shopify GraphQL errors: ${JSON.stringify(json.errors).slice(0, 500)}`);
-
-  return json.data;
-}
-
-const GET_LOCATION_LEVELS = `
-  query GetLocationLevels($locationId: ID!, $after: String) {
-    location(id: $locationId) {
-      id
-      inventoryLevels(first: 250, after: $after) {
-        pageInfo { hasNextPage endCursor }
-        edges {
-          node {
-            item { id }
-            quantities(names: ["available"]) { name quantity }
-          }
-        }
-      }
-    }
-  }
-`;
+const DETAILS_BATCH_SIZE = 50; // inventory items per nodes() lookup
 
 const GET_INVENTORY_ITEM_DETAILS = `
   query InventoryItemDetails($ids: [ID!]!) {
@@ -93,6 +68,7 @@ const GET_INVENTORY_ITEM_DETAILS = `
           product {
             title
             productType
+            status
           }
         }
       }
@@ -100,35 +76,10 @@ const GET_INVENTORY_ITEM_DETAILS = `
   }
 `;
 
-async function buildLocationAvailableMap(locationId, maxPages = 10) {
-  const map = new Map(); // inventoryItemId -> availableQuantity
-  let after = null;
-
-  for (let page = 0; page < maxPages; page++) {
-    const data = await shopifyGraphql(GET_LOCATION_LEVELS, { locationId, after });
-    const conn = data?.location?.inventoryLevels;
-    const edges = conn?.edges || [];
-
-    for (const e of edges) {
-      const node = e?.node;
-      const invItemId = node?.item?.id;
-      const qty = node?.quantities?.find((x) => x.name === "available")?.quantity;
-      if (invItemId && typeof qty === "number") map.set(invItemId, qty);
-    }
-
-    if (!conn?.pageInfo?.hasNextPage) break;
-    after = conn.pageInfo.endCursor;
-  }
-
-  return map;
-}
-
 async function fetchInventoryItemDetails(ids) {
-  const details = new Map(); // inventoryItemId -> { productType, productTitle, variantTitle, sku }
-  const batchSize = 50;
-
-  for (let i = 0; i < ids.length; i += batchSize) {
-    const batch = ids.slice(i, i + batchSize);
+  const details = new Map(); // inventoryItemId -> { productType, productTitle, variantTitle, sku, productStatus }
+  for (let i = 0; i < ids.length; i += DETAILS_BATCH_SIZE) {
+    const batch = ids.slice(i, i + DETAILS_BATCH_SIZE);
     const data = await shopifyGraphql(GET_INVENTORY_ITEM_DETAILS, { ids: batch });
     const nodes = data?.nodes || [];
 
@@ -141,6 +92,7 @@ async function fetchInventoryItemDetails(ids) {
         productTitle: product.title || "",
         variantTitle: variant.title || "",
         sku: variant.sku || "",
+        productStatus: product.status || "",
       });
     }
   }
@@ -158,97 +110,175 @@ function isExcludedProductType(productType, keywords) {
   return keywords.some((keyword) => normalized.includes(keyword));
 }
 
+// mark-discontinued-items.mjs would only mark (or archive) an archived product's row again
+function isSkippedItem(details) {
+  return (
+    isExcludedProductType(details.productType, CONFIG.excludeProductTypeKeywords) ||
+    details.productStatus === "ARCHIVED"
+  );
+}
+
 async function main() {
   requireEnv("SPREADSHEET_ID");
   requireEnv("SHOPIFY_STORE_DOMAIN");
-  requireEnv("SHOPIFY_LOCATION_ID");
   requireEnv("SHOPIFY_ADMIN_TOKEN");
+  requireLocationIds();
 
   const sheets = await getSheetsClient();
-  const range = `${CONFIG.sheetName}!A:Z`;
 
-  const res = await sheets.spreadsheets.values.get({
+  // Header row + only the columns this job uses
+  const { rows, cols } = await readTable(sheets, {
     spreadsheetId: CONFIG.spreadsheetId,
-    range,
+    sheetName: CONFIG.sheetName,
+    columns: CONFIG.columns,
     valueRenderOption: "UNFORMATTED_VALUE",
   });
 
-  const rows = res.data.values || [];
   if (rows.length < 1) {
     console.log("No header row found.");
     return;
   }
 
   const headers = rows[0];
-  const inventoryHeaderIndex = headers.indexOf(CONFIG.headers.inventoryItemId);
-  if (inventoryHeaderIndex === -1) {
-    throw new Error(`Missing header: ${CONFIG.headers.inventoryItemId}`);
+  if (cols.locationId === -1 && LOCATION_IDS.length > 1) {
+    throw new Error(`Missing header: ${TRUTH_TABLE_HEADERS.locationId} (required with more than one location)`);
   }
 
-  const existingIds = new Set();
+  const existingKeys = new Set(); // "inventoryItemId|locationId"
   for (let i = 1; i < rows.length; i++) {
     const row = rows[i];
-    const value = row[inventoryHeaderIndex];
-    if (value) existingIds.add(String(value).trim());
+    const value = cellString(row, cols.inventoryItemId);
+    if (!value) continue;
+    const locationId = resolveRowLocationId(cellString(row, cols.locationId));
+    existingKeys.add(itemLocationKey(value, locationId));
   }
 
-  console.log(`Loaded ${existingIds.size} InventoryItem_ID values from sheet.`);
-  console.log(`Building Shopify map for location ${CONFIG.locationId}...`);
+  console.log(`Loaded ${existingKeys.size} InventoryItem_ID/Location_ID pairs from sheet.`);
 
-  const availableMap = await buildLocationAvailableMap(CONFIG.locationId);
-  console.log(`Shopify map ready. Items: ${availableMap.size}`);
+  // The bulk operation also returns metadata for every item, so no details lookup is needed then
+  let bulk = null;
+  if (CONFIG.inventorySource === "bulk") {
+    console.log("Building Shopify maps from a bulk operation...");
+    bulk = await fetchInventoryBulk({ locationIds: LOCATION_IDS });
+  }
 
-  const missingIds = [];
-  const newRows = [];
-  for (const [inventoryItemId, available] of availableMap.entries()) {
-    if (existingIds.has(inventoryItemId)) continue;
+  // Skipped items (excluded product type, archived product) do not count
+  // against MAX_ROWS_PER_RUN. Bulk mode already has every item's details;
+  // paged mode looks them up in chunks until enough rows are collected.
+  const selected = []; // { inventoryItemId, locationId, available, quantities, details }
+  const detailsMap = bulk ? bulk.details : new Map();
+  let pending = [];
+  let skipped = 0;
+
+  const selectPending = async () => {
+    if (!bulk) {
+      const unknownIds = [...new Set(pending.map((m) => m.inventoryItemId))].filter((id) => !detailsMap.has(id));
+      for (const [id, details] of await fetchInventoryItemDetails(unknownIds)) detailsMap.set(id, details);
+    }
+    for (const m of pending) {
+      if (selected.length >= CONFIG.maxRowsPerRun) break;
+      const details = detailsMap.get(m.inventoryItemId) || {};
+      if (isSkippedItem(details)) {
+        skipped++;
+        continue;
+      }
+      selected.push({ ...m, details });
+    }
+    pending = [];
+  };
+
+  for (const locationId of LOCATION_IDS) {
+    if (selected.length >= CONFIG.maxRowsPerRun) break;
+
+    let availableMap;
+    let quantitiesMap;
+    if (bulk) {
+      availableMap = bulk.levels.get(locationId);
+      quantitiesMap = bulk.quantities.get(locationId);
+    } else {
+      console.log(`Building Shopify map for location ${locationId}...`);
+      ({ availableMap, quantitiesMap } = await buildLocationLevelMaps(locationId));
+    }
+    console.log(`Shopify map ready for ${locationId}. Items: ${availableMap.size}`);
 
-    missingIds.push(inventoryItemId);
-    if (missingIds.length >= CONFIG.maxRowsPerRun) break;
+    for (const [inventoryItemId, available] of availableMap.entries()) {
+      if (existingKeys.has(itemLocationKey(inventoryItemId, locationId))) continue;
+
+      pending.push({ inventoryItemId, locationId, available, quantities: quantitiesMap.get(inventoryItemId) || {} });
+      // At least one details batch per lookup, so a run of skipped items does not cost a query each
+      if (bulk || pending.length >= Math.max(CONFIG.maxRowsPerRun - selected.length, DETAILS_BATCH_SIZE)) {
+        await selectPending();
+      }
+      if (selected.length >= CONFIG.maxRowsPerRun) break;
+    }
   }
+  if (pending.length) await selectPending();
 
-  if (missingIds.length === 0) {
-    console.log("No new inventory items to append.");
+  if (selected.length === 0) {
+    console.log(
+      skipped
+        ? "All missing inventory items are excluded by product type or archived."
+        : "No new inventory items to append."
+    );
     return;
   }
+  if (skipped) console.log(`Skipped ${skipped} items excluded by product type or archived.`);
 
-  const detailsMap = await fetchInventoryItemDetails(missingIds);
-
-  for (const inventoryItemId of missingIds) {
-    const available = availableMap.get(inventoryItemId);
-    const details = detailsMap.get(inventoryItemId) || {};
-    if (isExcludedProductType(details.productType, CONFIG.excludeProductTypeKeywords)) {
-      continue;
-    }
+  const audit = createAuditLog({ job: "append-new-items" });
+  const newRows = [];
+  for (const { inventoryItemId, locationId, available, quantities, details } of selected) {
     newRows.push(
       buildRowFromHeaders(headers, {
-        [CONFIG.headers.inventoryItemId]: inventoryItemId,
-        [CONFIG.headers.available]: available ?? "",
-        [CONFIG.headers.desired]: "",
-        [CONFIG.headers.status]: "",
-        [CONFIG.headers.lastPushedAt]: "",
-        [CONFIG.headers.lastError]: "",
-        [CONFIG.headers.category]: details.productType || "",
-        [CONFIG.headers.productTitle]: details.productTitle || "",
-        [CONFIG.headers.variantTitle]: details.variantTitle || "",
-        [CONFIG.headers.sku]: details.sku || "",
+        [TRUTH_TABLE_HEADERS.inventoryItemId]: inventoryItemId,
+        [TRUTH_TABLE_HEADERS.locationId]: locationId,
+        [TRUTH_TABLE_HEADERS.available]: available ?? "",
+        [TRUTH_TABLE_HEADERS.desired]: "",
+        [TRUTH_TABLE_HEADERS.status]: "",
+        [TRUTH_TABLE_HEADERS.lastPushedAt]: "",
+        [TRUTH_TABLE_HEADERS.lastError]: "",
+        [TRUTH_TABLE_HEADERS.category]: details.productType || "",
+        [TRUTH_TABLE_HEADERS.productTitle]: details.productTitle || "",
+        [TRUTH_TABLE_HEADERS.variantTitle]: details.variantTitle || "",
+        [TRUTH_TABLE_HEADERS.sku]: details.sku || "",
+        ...Object.fromEntries(
+          Object.entries(QUANTITY_STATE_COLUMNS).map(([key, name]) => [TRUTH_TABLE_HEADERS[key], quantities[name] ?? ""])
+        ),
       })
     );
+    audit.record({
+      inventoryItemId,
+      locationId,
+      sku: details.sku || "",
+      field: "Available (new row)",
+      oldValue: "",
+      newValue: available ?? "",
+    });
+  }
 
-    if (newRows.length >= CONFIG.maxRowsPerRun) break;
+  if (isDryRun()) {
+    const plan = createChangePlan("append-new-items");
+    for (const newRow of newRows) {
+      newRow.forEach((value, index) => {
+        if (value === "" || value === null || value === undefined) return;
+        plan.add({
+          target: "sheet",
+          row: "new",
+          item: newRow[cols.inventoryItemId],
+          field: String(headers[index]),
+          oldValue: "",
+          newValue: value,
+        });
+      });
+    }
+    await plan.report({ sheets, spreadsheetId: CONFIG.spreadsheetId });
+    return;
   }
 
   console.log(`Appending ${newRows.length} new rows to ${CONFIG.sheetName}...`);
 
-  await sheets.spreadsheets.values.append({
-    spreadsheetId: CONFIG.spreadsheetId,
-    range: `${CONFIG.sheetName}!A:Z`,
-    valueInputOption: "RAW",
-    insertDataOption: "INSERT_ROWS",
-    requestBody: {
-      values: newRows,
-    },
-  });
+  await appendSheetTabRows(sheets, CONFIG.spreadsheetId, CONFIG.sheetName, newRows);
+
+  await audit.flush(sheets, CONFIG.spreadsheetId);
 
   console.log("Append complete.");
 }
@@ -1,151 +1,679 @@
-import { v1 } from '@google-cloud/pubsub';
-import { google } from 'googleapis';
+import crypto from 'node:crypto';
+import http from 'node:http';
+import { PubSub, v1 } from '@google-cloud/pubsub';
+import { createAuditLog, createRunId } from './lib/audit-log.mjs';
+import { fetchLevelQuantities, hasQuantityStateColumns, quantityStateChanges } from './lib/inventory-quantities.mjs';
+import { DEFAULT_LOCATION_ID, resolveRowLocationId } from './lib/locations.mjs';
+import { appendSheetTabRows, batchUpdateValues, ensureSheetTab, getSheetsClient, readTable } from './lib/sheets.mjs';
+import { TRUTH_TABLE_HEADERS, cellA1, cellString } from './lib/truth-table-schema.mjs';
 
 const projectId = 'shopify-inventory-sync-482323';
 const subscriptionName = 'shopify-inventory-updates-worker';
+const maxMessagesPerPull = Number(process.env.PULL_MAX_MESSAGES || '100');
+const maxDeliveryAttempts = Number(process.env.MAX_DELIVERY_ATTEMPTS || '5');
+const maxRetryAgeMs = Number(process.env.MAX_RETRY_AGE_MINUTES || '60') * 60 * 1000;
+
+// once   → ένα pull και έξοδος (Cloud Run Job, default)
+// drain  → pull μέχρι να αδειάσει η subscription ή να τελειώσει ο χρόνος
+// stream → long-running subscriber (Cloud Run service)
+// webhook → HTTP receiver για Shopify webhooks, χωρίς Pub/Sub (staging / local)
+const forwardSyncMode = process.env.FORWARD_SYNC_MODE || 'once';
+const drainTimeBudgetMs = Number(process.env.DRAIN_TIME_BUDGET_SECONDS || '300') * 1000;
+const streamMaxMessages = Number(process.env.STREAM_MAX_MESSAGES || '100');
+const streamFlushMs = Number(process.env.STREAM_FLUSH_MS || '2000');
+const port = Number(process.env.PORT || '8080');
+const webhookPath = process.env.WEBHOOK_PATH || '/webhooks/shopify';
+const webhookDedupSize = Number(process.env.WEBHOOK_DEDUP_SIZE || '5000');
+const webhookMaxBodyBytes = Number(process.env.WEBHOOK_MAX_BODY_BYTES || '65536'); // inventory webhooks είναι < 1 KB
 
 // 🔹 Google Sheet config
 const spreadsheetId = '15uWLUiduY0qQb6wbHIcUo-pqvp_ghTaO5ZnTP0gNZqg';
 const sheetName = 'Truth_Table';           // αν χρειαστεί αλλάζουμε αργότερα
-const idColumnHeader = 'InventoryItem_ID'; // ακριβώς όπως το header στο sheet
-const availableColumnHeader = 'Available'; // ακριβώς όπως το header στο sheet
+// Στήλες από το header row (lib/truth-table-schema.mjs)
+// Location_ID: empty cell = default location · Available_UpdatedAt: out-of-order guard
+// On_Hand / Committed / ...: το webhook φέρνει μόνο available → lookup στο Shopify όταν υπάρχουν
+const sheetColumns = {
+  required: ['inventoryItemId', 'available'],
+  optional: ['locationId', 'availableUpdatedAt', 'sku', 'onHand', 'committed', 'incoming', 'reserved', 'damaged'],
+};
+
+const runId = createRunId(); // ένα run id ανά process (Audit_Log)
+const deadLetterSheetName = 'Dead_Letters';
+const deadLetterHeaders = ['Timestamp', 'Message_ID', 'Publish_Time', 'Delivery_Attempt', 'Error', 'Raw_Payload'];
 
 const subClient = new v1.SubscriberClient();
 const subscriptionPath = subClient.subscriptionPath(projectId, subscriptionName);
 
-function columnIndexToA1(columnIndex) {
-  // 0 -> A, 1 -> B, ...
-  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-  let n = columnIndex;
-  let s = '';
-  while (n >= 0) {
-    s = alphabet[n % 26] + s;
-    n = Math.floor(n / 26) - 1;
+// Χωρίς Location_ID η γραμμή ανήκει στο DEFAULT_LOCATION_ID. Αν δεν υπάρχει ούτε αυτό,
+// ταιριάζει με events από οποιοδήποτε location (φύλλα με ένα μόνο location).
+function rowMatchesLocation(cellValue, locationGid) {
+  const rowLocation = resolveRowLocationId(cellValue);
+  if (!rowLocation || !locationGid) return true;
+  return rowLocation === locationGid;
+}
+
+function timestampToMs(ts) {
+  // Pub/Sub v1 gives publishTime as { seconds, nanos } (seconds may be a Long/string)
+  if (!ts) return null;
+  if (ts instanceof Date) return ts.getTime(); // PreciseDate from the streaming API
+  if (typeof ts === 'string') {
+    const ms = Date.parse(ts);
+    return Number.isFinite(ms) ? ms : null;
   }
-  return s;
+  const seconds = Number(ts.seconds ?? 0);
+  const nanos = Number(ts.nanos ?? 0);
+  if (!Number.isFinite(seconds)) return null;
+  return seconds * 1000 + Math.floor(nanos / 1e6);
 }
 
-async function getSheetsClient() {
-  const auth = new google.auth.GoogleAuth({
-    scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-  });
+/**
+ * Normalizes a pulled Pub/Sub message (v1 ReceivedMessage).
+ */
+function fromReceivedMessage(received) {
+  const msg = received.message;
+  return {
+    ackId: received.ackId,
+    messageId: msg?.messageId,
+    publishTime: msg?.publishTime,
+    deliveryAttempt: Number(received.deliveryAttempt || 0),
+    dataStr: msg?.data ? Buffer.from(msg.data, 'base64').toString('utf8') : null,
+  };
+}
 
-  const authClient = await auth.getClient();
-  return google.sheets({ version: 'v4', auth: authClient });
+/**
+ * Normalizes a streaming-subscriber Message; `original` is kept for ack()/nack().
+ */
+function fromSubscriberMessage(message) {
+  return {
+    original: message,
+    messageId: message.id,
+    publishTime: message.publishTime,
+    deliveryAttempt: Number(message.deliveryAttempt || 0),
+    dataStr: message.data?.length ? message.data.toString('utf8') : null,
+  };
 }
 
-async function updateSheetForInventoryItem(inventoryItemId, available) {
-  const sheets = await getSheetsClient();
+/**
+ * Turns a message into an inventory event. Throws on payloads that can never succeed.
+ */
+function parseInventoryEvent(message) {
+  const payload = JSON.parse(message.dataStr);
+  if (!payload || payload.inventory_item_id === undefined || payload.inventory_item_id === null) {
+    throw new Error('Payload has no inventory_item_id');
+  }
 
-  // 1️⃣ Φέρνουμε όλα τα rows από το Truth_Table
-  const range = `${sheetName}!A:Z`;
-  const res = await sheets.spreadsheets.values.get({
-    spreadsheetId,
-    range,
-  });
+  const locationId = payload.location_id;
+  // Προτιμάμε το updated_at του webhook· αλλιώς το publishTime του μηνύματος
+  const updatedAtMs = timestampToMs(payload.updated_at) ?? timestampToMs(message.publishTime);
+  return {
+    messageId: message.messageId,
+    updatedAtMs,
+    inventoryItemGid: `gid://shopify/InventoryItem/${payload.inventory_item_id}`,
+    locationGid: locationId ? `gid://shopify/Location/${locationId}` : null,
+    available: payload.available,
+  };
+}
+
+function isOlder(event, otherMs) {
+  if (event.updatedAtMs === null || otherMs === null) return false;
+  return event.updatedAtMs < otherMs;
+}
+
+/**
+ * Several webhooks for the same item + location in one batch → only the newest one counts.
+ * Without timestamps the last message in the batch wins.
+ */
+function collapseInventoryEvents(events) {
+  const byKey = new Map();
+  for (const event of events) {
+    const key = `${event.inventoryItemGid}|${event.locationGid}`;
+    const current = byKey.get(key);
+    if (current && isOlder(event, current.updatedAtMs)) {
+      console.log(
+        `Skipping out-of-order message ${event.messageId} for ${key}: ` +
+          `${new Date(event.updatedAtMs).toISOString()} < ${new Date(current.updatedAtMs).toISOString()}`
+      );
+      continue;
+    }
+    byKey.delete(key); // keep insertion order = order of the latest event
+    byKey.set(key, event);
+  }
+  return [...byKey.values()];
+}
+
+/**
+ * Reads Truth_Table once and writes every Available cell of the batch
+ * in a single values.batchUpdate.
+ */
+async function updateSheetForInventoryEvents(events) {
+  if (events.length === 0) return;
+
+  const sheets = await getSheetsClient();
 
-  const rows = res.data.values || [];
+  // 1️⃣ Header + μόνο οι στήλες που χρειαζόμαστε (μία φορά ανά batch).
+  // Throws on a missing/duplicated header → the messages are nacked, not lost
+  const { rows, cols } = await readTable(sheets, { spreadsheetId, sheetName, columns: sheetColumns });
   if (rows.length === 0) {
     console.log('Sheet has no data.');
     return;
   }
 
-  const headers = rows[0];
-  const idColIndex = headers.indexOf(idColumnHeader);
-  const availColIndex = headers.indexOf(availableColumnHeader);
-
-  if (idColIndex === -1 || availColIndex === -1) {
-    console.log(
-      `Header(s) not found. Have headers: ${headers.join(', ')}`
+  if (cols.availableUpdatedAt === -1) {
+    console.warn(
+      `Header ${TRUTH_TABLE_HEADERS.availableUpdatedAt} not found; out-of-order protection is disabled.`
     );
-    return;
   }
 
-  // 2️⃣ Βρίσκουμε τη γραμμή με το συγκεκριμένο InventoryItem_ID
-  const gid = `gid://shopify/InventoryItem/${inventoryItemId}`;
-  let targetRowIndex = -1;
-
+  // 2️⃣ Index: InventoryItem_ID → rows (με το Location_ID τους)
+  const rowsByItem = new Map();
   for (let i = 1; i < rows.length; i++) {
     const row = rows[i];
-    if (row[idColIndex] === gid) {
-      targetRowIndex = i;
-      break;
+    const itemGid = cellString(row, cols.inventoryItemId);
+    if (!itemGid) continue;
+    if (!rowsByItem.has(itemGid)) rowsByItem.set(itemGid, []);
+    rowsByItem.get(itemGid).push({
+      rowNumber: i + 1, // 0-based → 1-based
+      locationCell: cellString(row, cols.locationId),
+      sku: cellString(row, cols.sku),
+      available: row[cols.available],
+      updatedAtMs: timestampToMs(cellString(row, cols.availableUpdatedAt)),
+    });
+  }
+
+  const audit = createAuditLog({ job: 'forward-sync', runId });
+  const data = [];
+  const updatedRows = []; // { event, target, row } for the quantity state columns
+
+  for (const event of events) {
+    const candidates = rowsByItem.get(event.inventoryItemGid) || [];
+    const target = candidates.find((r) => rowMatchesLocation(r.locationCell, event.locationGid));
+
+    if (!target) {
+      console.log(
+        `No row found in sheet for InventoryItem_ID = ${event.inventoryItemGid}, Location_ID = ${event.locationGid}`
+      );
+      continue;
+    }
+
+    if (isOlder(event, target.updatedAtMs)) {
+      console.log(
+        `Skipping stale event ${event.messageId} for row ${target.rowNumber}: ` +
+          `event ${new Date(event.updatedAtMs).toISOString()} is older than ` +
+          `${TRUTH_TABLE_HEADERS.availableUpdatedAt} ${new Date(target.updatedAtMs).toISOString()} (available=${event.available})`
+      );
+      continue;
+    }
+
+    const targetRange = cellA1(sheetName, cols.available, target.rowNumber);
+    console.log(
+      `Updating sheet row ${target.rowNumber}, cell ${targetRange} with available=${event.available}`
+    );
+
+    data.push({ range: targetRange, values: [[String(event.available)]] });
+    updatedRows.push({ event, target, row: rows[target.rowNumber - 1] });
+
+    if (String(target.available ?? '') !== String(event.available)) {
+      audit.record({
+        inventoryItemId: event.inventoryItemGid,
+        locationId: event.locationGid || target.locationCell,
+        sku: target.sku,
+        field: 'Available',
+        oldValue: target.available,
+        newValue: event.available,
+      });
+    }
+
+    if (cols.availableUpdatedAt !== -1 && event.updatedAtMs !== null) {
+      data.push({
+        range: cellA1(sheetName, cols.availableUpdatedAt, target.rowNumber),
+        values: [[new Date(event.updatedAtMs).toISOString()]],
+      });
     }
   }
 
-  if (targetRowIndex === -1) {
-    console.log(`No row found in sheet for InventoryItem_ID = ${gid}`);
-    return;
+  if (updatedRows.length && hasQuantityStateColumns(cols)) {
+    data.push(...(await quantityStateUpdates(updatedRows, cols, audit)));
   }
 
-  const rowNumber = targetRowIndex + 1; // 0-based → 1-based
-  const columnLetter = columnIndexToA1(availColIndex);
-  const targetRange = `${sheetName}!${columnLetter}${rowNumber}`;
+  if (data.length === 0) return;
 
-  console.log(
-    `Updating sheet row ${rowNumber}, cell ${targetRange} with available=${available}`
-  );
+  // 3️⃣ Όλα τα κελιά Available σε ένα batchUpdate (σε κομμάτια αν είναι πολλά)
+  await batchUpdateValues(sheets, spreadsheetId, data);
 
-  // 3️⃣ Κάνουμε update μόνο το κελί Available
-  await sheets.spreadsheets.values.update({
-    spreadsheetId,
-    range: targetRange,
-    valueInputOption: 'RAW',
-    requestBody: {
-      values: [[String(available)]],
-    },
+  console.log(`Sheet update OK (${data.length} cell(s)).`);
+
+  // Η ενημέρωση έγινε ήδη· ένα αποτυχημένο audit δεν πρέπει να ξαναστείλει τα μηνύματα
+  try {
+    await audit.flush(sheets, spreadsheetId);
+  } catch (err) {
+    console.error('Audit_Log write failed:', err);
+  }
+}
+
+/**
+ * On_Hand, Committed, Incoming, Reserved, Damaged for the rows of this batch,
+ * from one Shopify lookup. A failed lookup only skips these columns: Available
+ * is still written and reconcile catches the rest up.
+ */
+async function quantityStateUpdates(updatedRows, cols, audit) {
+  const pairs = updatedRows.map(({ event, target }) => ({
+    inventoryItemId: event.inventoryItemGid,
+    locationId: event.locationGid || target.locationCell || DEFAULT_LOCATION_ID,
+  }));
+
+  let quantities;
+  try {
+    quantities = await fetchLevelQuantities(pairs.filter((p) => p.locationId));
+  } catch (err) {
+    console.warn(`Quantity state lookup failed; On_Hand/Committed/... not updated: ${err?.message || err}`);
+    return [];
+  }
+
+  const data = [];
+  updatedRows.forEach(({ target, row }, i) => {
+    const { inventoryItemId, locationId } = pairs[i];
+    const changes = quantityStateChanges(row, cols, quantities.get(`${inventoryItemId}|${locationId}`));
+    for (const change of changes) {
+      data.push({ range: cellA1(sheetName, cols[change.key], target.rowNumber), values: [[change.newValue]] });
+      audit.record({
+        inventoryItemId,
+        locationId,
+        sku: target.sku,
+        field: change.header,
+        oldValue: change.oldValue,
+        newValue: change.newValue,
+      });
+    }
   });
+  return data;
+}
 
-  console.log('Sheet update OK for', gid);
+function retriesExhausted(message) {
+  // deliveryAttempt is only filled in when the subscription has a dead-letter policy,
+  // so the message age is the fallback limit.
+  if (message.deliveryAttempt >= maxDeliveryAttempts) return true;
+  const publishedMs = timestampToMs(message.publishTime);
+  return publishedMs !== null && Date.now() - publishedMs >= maxRetryAgeMs;
 }
 
-async function main() {
-  console.log('Starting inventory worker with Google Sheets sync...');
+let deadLetterTabReady = false;
+
+/**
+ * Appends failed messages to the Dead_Letters tab so they can be replayed later.
+ */
+async function writeDeadLetters(failures) {
+  const sheets = await getSheetsClient();
+  if (!deadLetterTabReady) {
+    await ensureSheetTab(sheets, spreadsheetId, deadLetterSheetName, deadLetterHeaders);
+    deadLetterTabReady = true;
+  }
+
+  const now = new Date().toISOString();
+  const publishedIso = (message) => {
+    const ms = timestampToMs(message.publishTime);
+    return ms === null ? '' : new Date(ms).toISOString();
+  };
+
+  await appendSheetTabRows(
+    sheets,
+    spreadsheetId,
+    deadLetterSheetName,
+    failures.map(({ message, error }) => [
+      now,
+      message.messageId || '',
+      publishedIso(message),
+      message.deliveryAttempt || '',
+      String(error?.message || error).slice(0, 1000),
+      message.dataStr || '',
+    ])
+  );
+
+  console.log(`Wrote ${failures.length} message(s) to ${deadLetterSheetName}.`);
+}
+
+/**
+ * Processes one batch of messages and decides which to ack and which to nack.
+ * A message is acked only when its update reached the sheet (or it was written
+ * to Dead_Letters). Anything else is nacked for redelivery.
+ */
+async function processMessages(messages) {
+  const ack = [];
+  const failed = []; // { message, error, permanent }
+  const parsed = []; // { message, event }
+
+  for (const message of messages) {
+    console.log('RAW MESSAGE ID:', message.messageId);
+    console.log('DATA:', message.dataStr);
+
+    if (!message.dataStr) {
+      ack.push(message); // τίποτα να κάνουμε
+      continue;
+    }
+
+    try {
+      parsed.push({ message, event: parseInventoryEvent(message) });
+    } catch (err) {
+      // Redelivery cannot fix a malformed payload → straight to Dead_Letters
+      console.error(`Error parsing message ${message.messageId}:`, err);
+      failed.push({ message, error: err, permanent: true });
+    }
+  }
+
+  const collapsed = collapseInventoryEvents(parsed.map((p) => p.event));
+  console.log(
+    `Parsed ${parsed.length}/${messages.length} message(s) into ${collapsed.length} update(s).`
+  );
+
+  try {
+    await updateSheetForInventoryEvents(collapsed);
+    ack.push(...parsed.map((p) => p.message));
+  } catch (err) {
+    console.error('Error updating sheet:', err);
+    failed.push(...parsed.map((p) => ({ message: p.message, error: err, permanent: false })));
+  }
+
+  const deadLetters = failed.filter((f) => f.permanent || retriesExhausted(f.message));
+  const nack = failed.filter((f) => !deadLetters.includes(f)).map((f) => f.message);
+
+  if (deadLetters.length > 0) {
+    try {
+      await writeDeadLetters(deadLetters);
+      ack.push(...deadLetters.map((f) => f.message));
+    } catch (err) {
+      console.error(`Could not write to ${deadLetterSheetName}; leaving messages for redelivery:`, err);
+      nack.push(...deadLetters.map((f) => f.message));
+    }
+  }
 
+  return { ack, nack };
+}
+
+/**
+ * One pull → process → ack/nack round. Returns how many messages were received and acked.
+ */
+async function pullOnce() {
   const [response] = await subClient.pull({
     subscription: subscriptionPath,
-    maxMessages: 10,
+    maxMessages: maxMessagesPerPull,
   });
 
   const receivedMessages = response.receivedMessages || [];
 
   if (receivedMessages.length === 0) {
     console.log('No messages received.');
-    return;
+    return { received: 0, acked: 0 };
   }
 
-  for (const received of receivedMessages) {
-    const msg = received.message;
-    const ackId = received.ackId;
+  const { ack, nack } = await processMessages(receivedMessages.map(fromReceivedMessage));
 
-    const dataStr = msg?.data
-      ? Buffer.from(msg.data, 'base64').toString('utf8')
-      : null;
+  const ackIds = ack.map((m) => m.ackId).filter(Boolean);
+  if (ackIds.length > 0) {
+    await subClient.acknowledge({
+      subscription: subscriptionPath,
+      ackIds,
+    });
+  }
 
-    console.log('RAW MESSAGE ID:', msg?.messageId);
-    console.log('DATA:', dataStr);
+  const nackIds = nack.map((m) => m.ackId).filter(Boolean);
+  if (nackIds.length > 0) {
+    // ackDeadlineSeconds = 0 → άμεσο redelivery
+    await subClient.modifyAckDeadline({
+      subscription: subscriptionPath,
+      ackIds: nackIds,
+      ackDeadlineSeconds: 0,
+    });
+    console.log(`Nacked ${nackIds.length} message(s) for redelivery.`);
+  }
 
-    if (dataStr) {
-      try {
-        const payload = JSON.parse(dataStr);
-        const inventoryItemId = payload.inventory_item_id;
-        const available = payload.available;
+  console.log('Done processing batch.');
+  return { received: receivedMessages.length, acked: ackIds.length };
+}
+
+/**
+ * Keeps pulling until the subscription is empty or the time budget runs out.
+ * Nacked messages come back immediately, so a batch with nothing but failures
+ * also ends the run instead of spinning on them.
+ */
+async function drain() {
+  const deadline = Date.now() + drainTimeBudgetMs;
+  let batches = 0;
+  let total = 0;
+
+  while (Date.now() < deadline) {
+    const { received, acked } = await pullOnce();
+    if (received === 0) break;
+    batches += 1;
+    total += received;
+    if (acked === 0) {
+      console.log('Nothing in the last batch could be processed; stopping drain.');
+      break;
+    }
+  }
+
+  if (Date.now() >= deadline) {
+    console.log(`Drain time budget (${drainTimeBudgetMs / 1000}s) used up; remaining messages wait for the next run.`);
+  }
+  console.log(`Drain finished: ${total} message(s) in ${batches} batch(es).`);
+}
+
+/**
+ * Long-running subscriber for a Cloud Run service. Messages are buffered and
+ * handed to processMessages in batches (size or STREAM_FLUSH_MS, whichever
+ * comes first); batches run one at a time so sheet reads never overlap.
+ */
+function stream() {
+  const subscription = new PubSub({ projectId }).subscription(subscriptionName, {
+    flowControl: {
+      maxMessages: streamMaxMessages,
+      allowExcessMessages: false,
+    },
+  });
+
+  let buffer = [];
+  let timer = null;
+  let chain = Promise.resolve();
+  let stopping = false;
+
+  const flush = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (buffer.length === 0) return chain;
 
-        await updateSheetForInventoryItem(inventoryItemId, available);
+    const batch = buffer;
+    buffer = [];
+    chain = chain.then(async () => {
+      try {
+        const { ack, nack } = await processMessages(batch.map(fromSubscriberMessage));
+        ack.forEach((m) => m.original.ack());
+        nack.forEach((m) => m.original.nack());
       } catch (err) {
-        console.error('Error parsing or updating sheet:', err);
+        console.error('Batch failed, nacking all messages:', err);
+        batch.forEach((message) => message.nack());
       }
+    });
+    return chain;
+  };
+
+  subscription.on('message', (message) => {
+    // Μετά το SIGTERM δεν παίρνουμε νέα μηνύματα· redelivery αργότερα
+    if (stopping) return message.nack();
+    buffer.push(message);
+    if (buffer.length >= streamMaxMessages) {
+      flush();
+    } else if (!timer) {
+      timer = setTimeout(flush, streamFlushMs);
     }
+  });
 
-    if (ackId) {
-      await subClient.acknowledge({
-        subscription: subscriptionPath,
-        ackIds: [ackId],
-      });
+  subscription.on('error', (err) => {
+    console.error('Subscription error:', err);
+  });
+
+  // Cloud Run services must listen on $PORT
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('ok');
+  });
+  server.listen(port, () => {
+    console.log(`Streaming subscriber running; health check on :${port}`);
+  });
+
+  // Stop taking messages, flush, and only then close: acks / nacks sent on a
+  // closed subscription are lost and the batch would be redelivered. The
+  // 'message' listener stays attached, because removing the last one makes the
+  // client library close the subscription on its own.
+  process.once('SIGTERM', async () => {
+    console.log('SIGTERM received, flushing and shutting down...');
+    stopping = true;
+    await flush();
+    await subscription.close();
+    server.close();
+  });
+}
+
+/**
+ * Shopify signs the raw body with the app's shared secret (base64 HMAC-SHA256).
+ */
+function verifyShopifyHmac(rawBody, hmacHeader, secret) {
+  if (!hmacHeader) return false;
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const received = Buffer.from(String(hmacHeader), 'base64');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Reads the body before the HMAC can be checked, so it is capped: past
+ * maxBytes the rest is discarded and the promise rejects with
+ * err.code = 'BODY_TOO_LARGE'.
+ */
+function readRawBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const tooLarge = () => {
+      req.off('data', onData);
+      req.resume();
+      chunks.length = 0;
+      const err = new Error(`Request body larger than ${maxBytes} bytes`);
+      err.code = 'BODY_TOO_LARGE';
+      reject(err);
+    };
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) return tooLarge();
+      chunks.push(chunk);
+    };
+
+    if (Number(req.headers['content-length']) > maxBytes) return tooLarge();
+    req.on('data', onData);
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * HTTP receiver for Shopify webhooks (inventory_levels/update). Each verified
+ * webhook goes through processMessages like a Pub/Sub message: 200 when it was
+ * applied (or dead-lettered), 500 otherwise so Shopify retries it.
+ * X-Shopify-Webhook-Id is remembered in memory only after success, so Shopify's
+ * own retries are deduplicated per instance.
+ */
+function serveWebhooks() {
+  const secret = process.env.SHOPIFY_WEBHOOK_SECRET;
+  if (!secret) throw new Error('Missing env var: SHOPIFY_WEBHOOK_SECRET');
+
+  const seenWebhookIds = new Set(); // insertion order → oldest first
+  let chain = Promise.resolve();
+
+  const remember = (webhookId) => {
+    seenWebhookIds.add(webhookId);
+    if (seenWebhookIds.size > webhookDedupSize) {
+      seenWebhookIds.delete(seenWebhookIds.values().next().value);
     }
-  }
+  };
 
-  console.log('Done processing batch.');
+  const server = http.createServer(async (req, res) => {
+    const reply = (status, text) => {
+      res.writeHead(status, { 'Content-Type': 'text/plain' });
+      res.end(text);
+    };
+
+    if (req.method === 'GET') return reply(200, 'ok');
+    if (req.method !== 'POST' || req.url.split('?')[0] !== webhookPath) return reply(404, 'not found');
+
+    try {
+      const rawBody = await readRawBody(req, webhookMaxBodyBytes);
+
+      if (!verifyShopifyHmac(rawBody, req.headers['x-shopify-hmac-sha256'], secret)) {
+        console.warn('Rejected webhook with invalid HMAC.');
+        return reply(401, 'invalid hmac');
+      }
+
+      const topic = req.headers['x-shopify-topic'];
+      if (topic && topic !== 'inventory_levels/update') {
+        console.log(`Ignoring webhook topic ${topic}.`);
+        return reply(200, 'ignored');
+      }
+
+      const webhookId = req.headers['x-shopify-webhook-id'] || null;
+      if (webhookId && seenWebhookIds.has(webhookId)) {
+        console.log(`Duplicate webhook ${webhookId}; already processed.`);
+        return reply(200, 'duplicate');
+      }
+
+      const message = {
+        messageId: webhookId,
+        publishTime: req.headers['x-shopify-triggered-at'] || null,
+        deliveryAttempt: 0,
+        dataStr: rawBody.length ? rawBody.toString('utf8') : null,
+      };
+
+      // Ένα webhook τη φορά, ώστε να μη γράφουμε ταυτόχρονα στο sheet
+      const result = chain.then(() => processMessages([message]));
+      chain = result.catch(() => {});
+      const { ack } = await result;
+
+      if (ack.length === 0) return reply(500, 'retry');
+      if (webhookId) remember(webhookId);
+      return reply(200, 'ok');
+    } catch (err) {
+      if (err?.code === 'BODY_TOO_LARGE') {
+        console.warn(`Rejected webhook: ${err.message}.`);
+        res.setHeader('Connection', 'close');
+        return reply(413, 'payload too large');
+      }
+      console.error('Webhook handling failed:', err);
+      return reply(500, 'error');
+    }
+  });
+
+  server.listen(port, () => {
+    console.log(`Webhook receiver listening on :${port}${webhookPath}`);
+  });
+
+  process.once('SIGTERM', () => {
+    console.log('SIGTERM received, shutting down...');
+    server.close();
+  });
+}
+
+async function main() {
+  console.log(`Starting inventory worker with Google Sheets sync (mode=${forwardSyncMode})...`);
+
+  if (forwardSyncMode === 'once') {
+    await pullOnce();
+  } else if (forwardSyncMode === 'drain') {
+    await drain();
+  } else if (forwardSyncMode === 'stream') {
+    stream();
+  } else if (forwardSyncMode === 'webhook') {
+    serveWebhooks();
+  } else {
+    throw new Error(`Unknown FORWARD_SYNC_MODE: ${forwardSyncMode}`);
+  }
 }
 
 main().catch((err) => {
@@ -0,0 +1,100 @@
+// lib/audit-log.mjs (ESM)
+// Goal: Append-only Audit_Log tab. Every job records each quantity / metadata
+// change it made, so the sheet keeps a filterable stock movement history.
+
+import crypto from "node:crypto";
+import { appendSheetTabRows, ensureSheetTab } from "./sheets.mjs";
+import { cellString, parseCellA1 } from "./truth-table-schema.mjs";
+
+export const AUDIT_LOG_SHEET = "Audit_Log";
+
+const AUDIT_HEADERS = [
+  "Timestamp",
+  "Job",
+  "Run_ID",
+  "InventoryItem_ID",
+  "Location_ID",
+  "SKU",
+  "Field",
+  "Old_Value",
+  "New_Value",
+  "Adjustment_CreatedAt",
+  "Adjustment_Changes",
+];
+
+/**
+ * Cloud Run sets CLOUD_RUN_EXECUTION for jobs; elsewhere we make one up.
+ */
+export function createRunId() {
+  return process.env.CLOUD_RUN_EXECUTION || `${new Date().toISOString()}-${crypto.randomBytes(3).toString("hex")}`;
+}
+
+function cellValue(value) {
+  if (value === null || value === undefined) return "";
+  return typeof value === "object" ? JSON.stringify(value) : value;
+}
+
+export function createAuditLog({ job, runId = createRunId() }) {
+  const records = [];
+
+  return {
+    job,
+    runId,
+    records,
+
+    /**
+     * adjustmentGroup: Shopify inventoryAdjustmentGroup ({ createdAt, changes }) when relevant.
+     */
+    record({ inventoryItemId, locationId, sku, field, oldValue, newValue, adjustmentGroup }) {
+      records.push([
+        new Date().toISOString(),
+        job,
+        runId,
+        cellValue(inventoryItemId),
+        cellValue(locationId),
+        cellValue(sku),
+        field,
+        cellValue(oldValue),
+        cellValue(newValue),
+        cellValue(adjustmentGroup?.createdAt),
+        adjustmentGroup?.changes ? JSON.stringify(adjustmentGroup.changes) : "",
+      ]);
+    },
+
+    /**
+     * Records single-cell values.batchUpdate entries against the rows that were read.
+     * cols: resolved Truth_Table columns (inventoryItemId, and optionally locationId / sku).
+     */
+    recordSheetUpdates(updates, { rows, cols }) {
+      const headerRow = rows[0] || [];
+      for (const update of updates) {
+        const cell = parseCellA1(update.range);
+        if (!cell) continue;
+        const row = rows[cell.rowNumber - 1] || [];
+        const oldValue = row[cell.columnIndex];
+        const newValue = update.values?.[0]?.[0];
+        if (String(oldValue ?? "") === String(newValue ?? "")) continue;
+
+        this.record({
+          inventoryItemId: cellString(row, cols.inventoryItemId),
+          locationId: cols.locationId === undefined ? "" : cellString(row, cols.locationId),
+          sku: cols.sku === undefined ? "" : cellString(row, cols.sku),
+          field: String(headerRow[cell.columnIndex] ?? update.range),
+          oldValue,
+          newValue,
+        });
+      }
+    },
+
+    /**
+     * Appends everything recorded so far to the Audit_Log tab (created on first use).
+     */
+    async flush(sheets, spreadsheetId) {
+      if (records.length === 0) return;
+      const pending = records.splice(0, records.length);
+      await ensureSheetTab(sheets, spreadsheetId, AUDIT_LOG_SHEET, AUDIT_HEADERS);
+      await appendSheetTabRows(sheets, spreadsheetId, AUDIT_LOG_SHEET, pending);
+      console.log(`Audit_Log: ${pending.length} record(s) for run ${runId}.`);
+    },
+  };
+}
@@ -0,0 +1,97 @@
+// lib/change-plan.mjs (ESM)
+// Goal: DRY_RUN support. Jobs record the Sheets writes and Shopify mutations
+// they would make instead of making them, then print (and optionally store)
+// the plan so big changes can be reviewed before a live run.
+
+import { replaceSheetTabValues } from "./sheets.mjs";
+import { cellString, parseCellA1 } from "./truth-table-schema.mjs";
+
+const PLAN_HEADERS = ["Planned_At", "Target", "Row", "InventoryItem_ID", "Field", "Old_Value", "New_Value"];
+
+function envFlag(name) {
+  return ["1", "true", "yes"].includes(String(process.env[name] || "").trim().toLowerCase());
+}
+
+/**
+ * DRY_RUN=1 → compute everything, write nothing.
+ */
+export function isDryRun() {
+  return envFlag("DRY_RUN");
+}
+
+export function createChangePlan(job) {
+  const entries = [];
+  const plannedAt = new Date().toISOString();
+
+  return {
+    job,
+    entries,
+
+    /**
+     * target: "sheet" | "shopify"; row: 1-based sheet row (or "new" for appended rows)
+     */
+    add({ target, row, item, field, oldValue, newValue }) {
+      entries.push({
+        target,
+        row,
+        item: item ?? "",
+        field,
+        oldValue: oldValue ?? "",
+        newValue: newValue ?? "",
+      });
+    },
+
+    /**
+     * Records single-cell values.batchUpdate entries, looking up the header
+     * name and the current value from the rows that were read.
+     */
+    addSheetUpdates(updates, { rows, itemColumnIndex }) {
+      const headerRow = rows[0] || [];
+      for (const update of updates) {
+        const cell = parseCellA1(update.range);
+        if (!cell) {
+          this.add({ target: "sheet", row: "", field: update.range, newValue: JSON.stringify(update.values) });
+          continue;
+        }
+        const row = rows[cell.rowNumber - 1] || [];
+        this.add({
+          target: "sheet",
+          row: cell.rowNumber,
+          item: cellString(row, itemColumnIndex),
+          field: String(headerRow[cell.columnIndex] ?? update.range),
+          oldValue: row[cell.columnIndex],
+          newValue: update.values?.[0]?.[0],
+        });
+      }
+    },
+
+    /**
+     * Prints the plan as JSON lines; with DRY_RUN_WRITE_PLAN=1 also writes it
+     * to a Plan_<job> tab (the only write a dry run makes).
+     */
+    async report({ sheets, spreadsheetId } = {}) {
+      console.log(`DRY RUN – ${job}: ${entries.length} planned change(s). Nothing was written.`);
+      for (const entry of entries) console.log(JSON.stringify({ job, ...entry }));
+
+      if (!envFlag("DRY_RUN_WRITE_PLAN") || !sheets) return;
+
+      const title = `Plan_${job}`;
+      await replaceSheetTabValues(
+        sheets,
+        spreadsheetId,
+        title,
+        PLAN_HEADERS,
+        entries.map((e) => [
+          plannedAt,
+          e.target,
+          e.row,
+          e.item,
+          e.field,
+          typeof e.oldValue === "object" ? JSON.stringify(e.oldValue) : e.oldValue,
+          typeof e.newValue === "object" ? JSON.stringify(e.newValue) : e.newValue,
+        ])
+      );
+      console.log(`Plan written to ${title} tab.`);
+    },
+  };
+}
@@ -0,0 +1,168 @@
+// lib/inventory-quantities.mjs (ESM)
+// Goal: The Shopify inventory quantity states mirrored in Truth_Table next to
+// Available (On_Hand, Committed, Incoming, Reserved, Damaged), one batched
+// lookup of all of them for a list of item/location pairs, and the paged
+// per-location maps of every level.
+
+import { itemLocationKey } from "./locations.mjs";
+import { shopifyGraphql } from "./shopify-client.mjs";
+import { TRUTH_TABLE_HEADERS, cellString } from "./truth-table-schema.mjs";
+
+/**
+ * Optional Truth_Table column key -> Shopify quantity name.
+ */
+export const QUANTITY_STATE_COLUMNS = {
+  onHand: "on_hand",
+  committed: "committed",
+  incoming: "incoming",
+  reserved: "reserved",
+  damaged: "damaged",
+};
+
+/**
+ * Every quantity name the jobs ask Shopify for, "available" first.
+ */
+export const QUANTITY_NAMES = ["available", ...Object.values(QUANTITY_STATE_COLUMNS)];
+
+/**
+ * QUANTITY_NAMES as a GraphQL list literal, for quantities(names: ...).
+ */
+export const QUANTITY_NAMES_GRAPHQL = JSON.stringify(QUANTITY_NAMES);
+
+/**
+ * [{ name, quantity }] from Shopify -> { available: 3, on_hand: 5, ... }
+ * (numbers only; names Shopify did not return are left out).
+ */
+export function quantitiesByName(quantities) {
+  const result = {};
+  for (const q of quantities || []) {
+    if (q?.name && typeof q.quantity === "number") result[q.name] = q.quantity;
+  }
+  return result;
+}
+
+/**
+ * True when the header row has at least one of the quantity state columns.
+ */
+export function hasQuantityStateColumns(cols) {
+  return Object.keys(QUANTITY_STATE_COLUMNS).some((key) => cols[key] !== undefined && cols[key] !== -1);
+}
+
+/**
+ * State columns of one row that differ from Shopify's quantities.
+ * Returns [{ key, header, oldValue, newValue }]; columns missing from the
+ * sheet or from `quantities` are skipped.
+ */
+export function quantityStateChanges(row, cols, quantities) {
+  const changes = [];
+  for (const [key, name] of Object.entries(QUANTITY_STATE_COLUMNS)) {
+    if (cols[key] === undefined || cols[key] === -1) continue;
+    const newValue = quantities?.[name];
+    if (typeof newValue !== "number") continue;
+
+    const oldValue = row[cols[key]];
+    if (cellString(row, cols[key]) === String(newValue)) continue;
+    changes.push({ key, header: TRUTH_TABLE_HEADERS[key], oldValue, newValue });
+  }
+  return changes;
+}
+
+const GET_LEVEL_QUANTITIES_QUERY = `
+  query GetLevelQuantities($ids: [ID!]!, $locationId: ID!) {
+    nodes(ids: $ids) {
+      ... on InventoryItem {
+        id
+        inventoryLevel(locationId: $locationId) {
+          quantities(names: ${QUANTITY_NAMES_GRAPHQL}) { name quantity }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * All quantity states for every { inventoryItemId, locationId } pair, in
+ * batches of 100 ids per location. Returns "item|location" -> { available, ... },
+ * or null when the item does not exist or has no level at that location.
+ */
+export async function fetchLevelQuantities(pairs) {
+  const result = new Map();
+  const byLocation = new Map();
+  for (const { inventoryItemId, locationId } of pairs) {
+    if (!byLocation.has(locationId)) byLocation.set(locationId, new Set());
+    byLocation.get(locationId).add(inventoryItemId);
+  }
+
+  for (const [locationId, idSet] of byLocation) {
+    const ids = [...idSet];
+    for (let i = 0; i < ids.length; i += 100) {
+      const batch = ids.slice(i, i + 100);
+      const data = await shopifyGraphql(GET_LEVEL_QUANTITIES_QUERY, { ids: batch, locationId });
+      const nodes = data?.nodes || [];
+
+      batch.forEach((id, index) => {
+        const level = nodes[index]?.inventoryLevel;
+        result.set(itemLocationKey(id, locationId), level ? quantitiesByName(level.quantities) : null);
+      });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Every inventory level of one location, paged. (inventoryItem.inventoryLevels
+ * does not accept a locationIds argument, so the jobs read it from the location side.)
+ */
+const GET_LOCATION_LEVELS = `
+  query GetLocationLevels($locationId: ID!, $after: String) {
+    location(id: $locationId) {
+      id
+      inventoryLevels(first: 250, after: $after) {
+        pageInfo { hasNextPage endCursor }
+        edges {
+          node {
+            item { id }
+            quantities(names: ${QUANTITY_NAMES_GRAPHQL}) { name quantity }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Returns { availableMap, quantitiesMap }: inventoryItemId -> available, and
+ * inventoryItemId -> { available, on_hand, committed, ... }.
+ */
+export async function buildLocationLevelMaps(locationId, maxPages = 10) {
+  const map = new Map(); // inventoryItemId -> availableQuantity
+  const quantitiesMap = new Map();
+  let after = null;
+
+  for (let page = 0; page < maxPages; page++) {
+    const data = await shopifyGraphql(GET_LOCATION_LEVELS, { locationId, after });
+    const conn = data?.location?.inventoryLevels;
+    const edges = conn?.edges || [];
+
+    for (const e of edges) {
+      const node = e?.node;
+      const invItemId = node?.item?.id;
+      const byName = quantitiesByName(node?.quantities);
+      if (invItemId && typeof byName.available === "number") map.set(invItemId, byName.available);
+      if (invItemId) quantitiesMap.set(invItemId, byName);
+    }
+
+    if (!conn?.pageInfo?.hasNextPage) break;
+    after = conn.pageInfo.endCursor;
+
+    if (page === maxPages - 1) {
+      console.warn(
+        `Location ${locationId} has more than ${maxPages} pages of inventory levels; ` +
+          "the map is incomplete. Use INVENTORY_SOURCE=bulk."
+      );
+    }
+  }
+
+  return { availableMap: map, quantitiesMap };
+}
@@ -0,0 +1,40 @@
+// lib/locations.mjs (ESM)
+// Goal: The Shopify locations every job works on, and how a Truth_Table row
+// maps to one. SHOPIFY_LOCATION_IDS (comma-separated) lists the locations;
+// SHOPIFY_LOCATION_ID, or else the first of the list, is the default for rows
+// with an empty Location_ID.
+
+/**
+ * Configured location GIDs (gid://shopify/Location/...), in order.
+ */
+export const LOCATION_IDS = (process.env.SHOPIFY_LOCATION_IDS || process.env.SHOPIFY_LOCATION_ID || "")
+  .split(",")
+  .map((value) => value.trim())
+  .filter(Boolean);
+
+/**
+ * Location of rows without a Location_ID; null when none is configured.
+ */
+export const DEFAULT_LOCATION_ID = process.env.SHOPIFY_LOCATION_ID || LOCATION_IDS[0] || null;
+
+export function requireLocationIds() {
+  if (LOCATION_IDS.length === 0) {
+    throw new Error("Missing env var: SHOPIFY_LOCATION_ID or SHOPIFY_LOCATION_IDS");
+  }
+  return LOCATION_IDS;
+}
+
+/**
+ * Location_ID cell → the row's location (DEFAULT_LOCATION_ID for an empty cell).
+ */
+export function resolveRowLocationId(value) {
+  const s = value === null || value === undefined ? "" : String(value).trim();
+  return s || DEFAULT_LOCATION_ID;
+}
+
+/**
+ * Map key for one item at one location: "inventoryItemId|locationId".
+ */
+export function itemLocationKey(inventoryItemId, locationId) {
+  return `${inventoryItemId}|${locationId}`;
+}
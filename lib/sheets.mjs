@@ -0,0 +1,234 @@
+// lib/sheets.mjs (ESM)
+// Goal: One Google Sheets access layer for every job.
+// - Reads the header row, then only the columns a job needs (no fixed A:Z range)
+// - Splits large values.batchUpdate calls into chunks
+// - Retries quota errors (429 / RATE_LIMIT_EXCEEDED) and 5xx with backoff
+// - Helpers for the side tabs (Dead_Letters, Audit_Log, Plan_<job>, ...)
+
+import { google } from "googleapis";
+import { columnLetter, resolveColumns } from "./truth-table-schema.mjs";
+
+const RETRY = {
+  maxAttempts: Number(process.env.SHEETS_MAX_ATTEMPTS || "6"),
+  baseDelayMs: 1000,
+  maxDelayMs: 32000,
+};
+
+// Ranges per values.batchUpdate call
+const WRITE_CHUNK_SIZE = Number(process.env.SHEETS_WRITE_CHUNK_SIZE || "500");
+
+const NETWORK_ERROR_CODES = new Set(["ECONNRESET", "ETIMEDOUT", "ECONNREFUSED", "EAI_AGAIN", "EPIPE"]);
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+let sheetsClientPromise = null;
+
+/**
+ * One authenticated client per process. A failed setup (e.g. a transient ADC
+ * / metadata server error) is not cached, so long-running modes try again on
+ * the next call instead of failing until a restart.
+ */
+export function getSheetsClient() {
+  if (!sheetsClientPromise) {
+    sheetsClientPromise = (async () => {
+      const auth = new google.auth.GoogleAuth({
+        scopes: ["https://www.googleapis.com/auth/spreadsheets"],
+      });
+      const authClient = await auth.getClient();
+      return google.sheets({ version: "v4", auth: authClient });
+    })();
+    sheetsClientPromise.catch(() => {
+      sheetsClientPromise = null;
+    });
+  }
+  return sheetsClientPromise;
+}
+
+function isQuotaError(err) {
+  const status = Number(err?.response?.status ?? err?.code);
+  if (status === 429) return true;
+  if (err?.response?.data?.error?.status === "RESOURCE_EXHAUSTED") return true;
+  return (err?.errors || []).some((e) => /rateLimitExceeded|RATE_LIMIT_EXCEEDED/i.test(String(e?.reason)));
+}
+
+function isTransientError(err) {
+  const status = Number(err?.response?.status ?? err?.code);
+  return status >= 500 || NETWORK_ERROR_CODES.has(err?.code);
+}
+
+/**
+ * Runs one Sheets API call with truncated exponential backoff (with jitter).
+ * A non-idempotent call (append) is only retried on quota errors, where Google
+ * rejected the request; after a 5xx it may already have been applied.
+ */
+export async function withSheetsRetry(label, fn, { idempotent = true } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      const retryable = isQuotaError(err) || (idempotent && isTransientError(err));
+      if (!retryable || attempt + 1 >= RETRY.maxAttempts) throw err;
+
+      const delay = Math.min(RETRY.maxDelayMs, RETRY.baseDelayMs * 2 ** attempt) + Math.round(Math.random() * 1000);
+      console.warn(`Sheets ${label} failed (${err?.message || err}); retrying in ${delay}ms.`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Reads the header row, resolves the columns (see resolveColumns) and then
+ * fetches only those columns. Returns { rows, cols } where rows[0] is the
+ * header row and rows[i][cols.x] holds the cell of sheet row i + 1, exactly
+ * like a full-range read would; columns that were not fetched stay empty.
+ * rows is [] when the tab has no header row.
+ */
+export async function readTable(sheets, { spreadsheetId, sheetName, columns, valueRenderOption }) {
+  const headerRes = await withSheetsRetry("read header", () =>
+    sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range: `${sheetName}!1:1`,
+      valueRenderOption,
+    })
+  );
+  const header = headerRes.data.values?.[0] || [];
+  if (header.length === 0) return { rows: [], cols: null };
+
+  const cols = resolveColumns(header, columns);
+  const indexes = [...new Set(Object.values(cols).filter((index) => index !== -1))];
+
+  const res = await withSheetsRetry("read columns", () =>
+    sheets.spreadsheets.values.batchGet({
+      spreadsheetId,
+      ranges: indexes.map((index) => `${sheetName}!${columnLetter(index)}:${columnLetter(index)}`),
+      majorDimension: "COLUMNS",
+      valueRenderOption,
+    })
+  );
+
+  const rows = [header];
+  (res.data.valueRanges || []).forEach((valueRange, k) => {
+    const values = valueRange.values?.[0] || [];
+    for (let i = 1; i < values.length; i++) {
+      if (!rows[i]) rows[i] = [];
+      rows[i][indexes[k]] = values[i];
+    }
+  });
+  // Rows with nothing in the fetched columns come back as holes
+  for (let i = 1; i < rows.length; i++) rows[i] = rows[i] || [];
+
+  return { rows, cols };
+}
+
+/**
+ * Whole rows by 1-based row number, in the given order (one batchGet).
+ */
+export async function readRows(sheets, { spreadsheetId, sheetName, rowNumbers, valueRenderOption }) {
+  if (rowNumbers.length === 0) return [];
+  const res = await withSheetsRetry("read rows", () =>
+    sheets.spreadsheets.values.batchGet({
+      spreadsheetId,
+      ranges: rowNumbers.map((n) => `${sheetName}!${n}:${n}`),
+      valueRenderOption,
+    })
+  );
+  return (res.data.valueRanges || []).map((valueRange) => valueRange.values?.[0] || []);
+}
+
+/**
+ * values.batchUpdate in chunks of WRITE_CHUNK_SIZE ranges.
+ */
+export async function batchUpdateValues(sheets, spreadsheetId, data, { valueInputOption = "RAW" } = {}) {
+  for (let i = 0; i < data.length; i += WRITE_CHUNK_SIZE) {
+    const chunk = data.slice(i, i + WRITE_CHUNK_SIZE);
+    await withSheetsRetry("batchUpdate", () =>
+      sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId,
+        requestBody: {
+          valueInputOption,
+          data: chunk,
+        },
+      })
+    );
+  }
+}
+
+/**
+ * Creates the tab with a header row if it does not exist yet.
+ * Returns true when the tab was created.
+ */
+export async function ensureSheetTab(sheets, spreadsheetId, title, headerRow) {
+  const meta = await withSheetsRetry("get spreadsheet", () =>
+    sheets.spreadsheets.get({
+      spreadsheetId,
+      fields: "sheets.properties.title",
+    })
+  );
+  const exists = (meta.data.sheets || []).some((s) => s.properties?.title === title);
+  if (exists) return false;
+
+  console.log(`Creating ${title} tab...`);
+  await withSheetsRetry("addSheet", () =>
+    sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: {
+        requests: [{ addSheet: { properties: { title } } }],
+      },
+    })
+  );
+
+  if (headerRow?.length) {
+    await withSheetsRetry("write header", () =>
+      sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range: `${title}!A1`,
+        valueInputOption: "RAW",
+        requestBody: { values: [headerRow] },
+      })
+    );
+  }
+
+  return true;
+}
+
+/**
+ * Appends rows below the existing data of a tab.
+ */
+export async function appendSheetTabRows(sheets, spreadsheetId, title, rows) {
+  if (rows.length === 0) return;
+  await withSheetsRetry(
+    "append",
+    () =>
+      sheets.spreadsheets.values.append({
+        spreadsheetId,
+        range: `${title}!A1`,
+        valueInputOption: "RAW",
+        insertDataOption: "INSERT_ROWS",
+        requestBody: { values: rows },
+      }),
+    { idempotent: false }
+  );
+}
+
+/**
+ * Replaces the whole content of a tab (header + rows), creating it when needed.
+ */
+export async function replaceSheetTabValues(sheets, spreadsheetId, title, headerRow, rows) {
+  await ensureSheetTab(sheets, spreadsheetId, title, []);
+  await withSheetsRetry("clear", () =>
+    sheets.spreadsheets.values.clear({
+      spreadsheetId,
+      range: title,
+    })
+  );
+  await withSheetsRetry("update", () =>
+    sheets.spreadsheets.values.update({
+      spreadsheetId,
+      range: `${title}!A1`,
+      valueInputOption: "RAW",
+      requestBody: { values: [headerRow, ...rows] },
+    })
+  );
+}
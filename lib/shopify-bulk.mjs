@@ -0,0 +1,223 @@
+// lib/shopify-bulk.mjs (ESM)
+// Goal: Read the whole catalog through a Shopify bulk operation instead of
+// paging location.inventoryLevels (which stops after maxPages * 250 levels).
+// bulkOperationRunQuery → poll until COMPLETED → stream the JSONL result.
+
+import readline from "node:readline";
+import { Readable } from "node:stream";
+import { QUANTITY_NAMES_GRAPHQL, quantitiesByName } from "./inventory-quantities.mjs";
+import { shopifyGraphql } from "./shopify-client.mjs";
+
+const RUN_BULK_QUERY = `
+  mutation RunBulkQuery($query: String!) {
+    bulkOperationRunQuery(query: $query) {
+      bulkOperation { id status }
+      userErrors { field message }
+    }
+  }
+`;
+
+const CURRENT_BULK_OPERATION = `
+  query CurrentBulkOperation {
+    currentBulkOperation(type: QUERY) {
+      id
+      status
+      query
+      createdAt
+    }
+  }
+`;
+
+const GET_BULK_OPERATION = `
+  query GetBulkOperation($id: ID!) {
+    node(id: $id) {
+      ... on BulkOperation {
+        id
+        status
+        errorCode
+        objectCount
+        url
+      }
+    }
+  }
+`;
+
+/**
+ * Every inventory item with its variant/product metadata and its levels at
+ * all locations. In the JSONL result, level lines carry __parentId = item id.
+ */
+const INVENTORY_BULK_QUERY = `
+  {
+    inventoryItems {
+      edges {
+        node {
+          id
+          variant {
+            sku
+            title
+            product {
+              title
+              productType
+              status
+            }
+          }
+          inventoryLevels {
+            edges {
+              node {
+                location { id }
+                quantities(names: ${QUANTITY_NAMES_GRAPHQL}) { name quantity }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Attempts to start an operation when the outcome of the previous one is unknown
+const MAX_START_ATTEMPTS = 3;
+
+// Shopify's clock vs ours, for telling "started by our call" from an older operation
+const CLOCK_SKEW_MS = 60 * 1000;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function normalizeQuery(query) {
+  return String(query || "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * The operation a bulkOperationRunQuery call with an unknown outcome may have
+ * started: the shop's current query operation, if it runs the same query and
+ * is still going or finished after the call was sent. Returns its id or null.
+ */
+async function findStartedOperation(query, sentAtMs) {
+  const data = await shopifyGraphql(CURRENT_BULK_OPERATION, {});
+  const op = data?.currentBulkOperation;
+  if (!op || normalizeQuery(op.query) !== normalizeQuery(query)) return null;
+  if (["CREATED", "RUNNING"].includes(op.status)) return op.id;
+  if (op.status === "COMPLETED" && Date.parse(op.createdAt) >= sentAtMs - CLOCK_SKEW_MS) return op.id;
+  return null;
+}
+
+/**
+ * bulkOperationRunQuery is not resent blindly after a 5xx / network error: the
+ * first call may have started an operation, and a second one would fail with
+ * "already in progress" or run the query twice. currentBulkOperation tells
+ * whether it did. Returns the operation id.
+ */
+async function startBulkQuery(query) {
+  for (let attempt = 1; ; attempt++) {
+    const sentAtMs = Date.now();
+    let started;
+    try {
+      started = await shopifyGraphql(RUN_BULK_QUERY, { query }, { idempotent: false });
+    } catch (err) {
+      if (!err?.outcomeUnknown) throw err;
+      const id = await findStartedOperation(query, sentAtMs);
+      if (id) {
+        console.log(`Bulk operation ${id} was started despite the error (${err.message}).`);
+        return id;
+      }
+      if (attempt >= MAX_START_ATTEMPTS) throw err;
+      console.warn(`Bulk operation did not start (${err.message}); trying again.`);
+      await sleep(1000 * attempt);
+      continue;
+    }
+
+    const userErrors = started?.bulkOperationRunQuery?.userErrors || [];
+    if (userErrors.length) {
+      throw new Error(`Bulk operation rejected: ${JSON.stringify(userErrors).slice(0, 500)}`);
+    }
+
+    const id = started?.bulkOperationRunQuery?.bulkOperation?.id;
+    if (!id) throw new Error("Bulk operation did not return an id.");
+    return id;
+  }
+}
+
+/**
+ * Starts a bulk query and waits for it. Returns the result URL (null when the
+ * query matched nothing).
+ */
+export async function runBulkQuery(query, { pollIntervalMs = 5000, timeoutMs = 30 * 60 * 1000 } = {}) {
+  const id = await startBulkQuery(query);
+  console.log(`Bulk operation ${id} started.`);
+
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    await sleep(pollIntervalMs);
+
+    const data = await shopifyGraphql(GET_BULK_OPERATION, { id });
+    const op = data?.node;
+    if (!op) throw new Error(`Bulk operation ${id} not found.`);
+
+    if (op.status === "COMPLETED") {
+      console.log(`Bulk operation ${id} completed (${op.objectCount} objects).`);
+      return op.url || null;
+    }
+    if (["FAILED", "CANCELED", "EXPIRED"].includes(op.status)) {
+      throw new Error(`Bulk operation ${id} ended with ${op.status} (${op.errorCode || "no error code"}).`);
+    }
+  }
+
+  throw new Error(`Bulk operation ${id} did not finish within ${Math.round(timeoutMs / 1000)}s.`);
+}
+
+/**
+ * Streams the JSONL result line by line, so memory does not grow with the file.
+ */
+export async function* streamJsonl(url) {
+  if (!url) return;
+
+  const resp = await fetch(url);
+  if (!resp.ok || !resp.body) throw new Error(`Bulk result download failed: HTTP ${resp.status}`);
+
+  const lines = readline.createInterface({ input: Readable.fromWeb(resp.body), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (line.trim()) yield JSON.parse(line);
+  }
+}
+
+/**
+ * Builds the full inventory picture in one pass, however big the catalog is.
+ * Returns:
+ *   levels:  locationId -> (inventoryItemId -> available)   (only the given locations)
+ *   quantities: locationId -> (inventoryItemId -> { available, on_hand, committed, ... })
+ *   details: inventoryItemId -> { productType, productTitle, variantTitle, sku, productStatus }
+ */
+export async function fetchInventoryBulk({ locationIds }) {
+  const wanted = new Set(locationIds);
+  const levels = new Map(locationIds.map((id) => [id, new Map()]));
+  const quantities = new Map(locationIds.map((id) => [id, new Map()]));
+  const details = new Map();
+
+  const url = await runBulkQuery(INVENTORY_BULK_QUERY);
+
+  for await (const obj of streamJsonl(url)) {
+    if (obj.__parentId) {
+      const locationId = obj.location?.id;
+      if (!wanted.has(locationId)) continue;
+      const byName = quantitiesByName(obj.quantities);
+      if (typeof byName.available === "number") levels.get(locationId).set(obj.__parentId, byName.available);
+      quantities.get(locationId).set(obj.__parentId, byName);
+      continue;
+    }
+
+    if (!obj.id) continue;
+    const variant = obj.variant || {};
+    const product = variant.product || {};
+    details.set(obj.id, {
+      productType: product.productType || "",
+      productTitle: product.title || "",
+      variantTitle: variant.title || "",
+      sku: variant.sku || "",
+      productStatus: product.status || "",
+    });
+  }
+
+  return { levels, quantities, details };
+}
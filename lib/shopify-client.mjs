@@ -0,0 +1,158 @@
+// lib/shopify-client.mjs (ESM)
+// Goal: One Shopify Admin GraphQL client for every job. It keeps track of the
+// leaky bucket (extensions.cost.throttleStatus) and waits for it to refill
+// instead of failing on THROTTLED, and retries HTTP 429 / 5xx / network
+// errors with jittered backoff, so long reconcile or metadata runs finish.
+
+const DEFAULT_API_VERSION = "2025-10";
+
+const RETRY = {
+  maxAttempts: Number(process.env.SHOPIFY_MAX_ATTEMPTS || "6"),
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+};
+
+function requireEnv(name) {
+  const v = process.env[name];
+  if (!v) throw new Error(`Missing env var: ${name}`);
+  return v;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export function shopifyApiVersion() {
+  return process.env.SHOPIFY_API_VERSION || DEFAULT_API_VERSION;
+}
+
+/**
+ * "Full jitter": a random delay up to an exponentially growing cap, so parallel
+ * jobs do not retry in lockstep.
+ */
+function backoffMs(attempt) {
+  const cap = Math.min(RETRY.maxDelayMs, RETRY.baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * cap);
+}
+
+// Last throttleStatus Shopify reported, and what each query cost last time
+let bucket = null; // { currentlyAvailable, restoreRate, maximumAvailable, atMs }
+const requestedCostByQuery = new Map();
+
+function bucketNow() {
+  if (!bucket) return null;
+  const refilled = bucket.currentlyAvailable + ((Date.now() - bucket.atMs) / 1000) * bucket.restoreRate;
+  return Math.min(bucket.maximumAvailable, refilled);
+}
+
+function msUntilAvailable(cost) {
+  const available = bucketNow();
+  if (available === null || !cost || !bucket.restoreRate || available >= cost) return 0;
+  return Math.ceil(((cost - available) / bucket.restoreRate) * 1000);
+}
+
+function rememberCost(query, cost) {
+  if (!cost) return;
+  if (typeof cost.requestedQueryCost === "number") requestedCostByQuery.set(query, cost.requestedQueryCost);
+
+  const t = cost.throttleStatus;
+  if (t && typeof t.currentlyAvailable === "number") {
+    bucket = {
+      currentlyAvailable: t.currentlyAvailable,
+      restoreRate: t.restoreRate,
+      maximumAvailable: t.maximumAvailable,
+      atMs: Date.now(),
+    };
+  }
+}
+
+function isThrottled(errors) {
+  return (errors || []).some((e) => e?.extensions?.code === "THROTTLED");
+}
+
+function retryAfterMs(resp) {
+  const seconds = Number(resp.headers.get("retry-after"));
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+}
+
+/**
+ * Error for a call that may or may not have been applied: the request failed
+ * on the network or came back 5xx after it reached Shopify.
+ */
+function outcomeUnknownError(message) {
+  const err = new Error(message);
+  err.outcomeUnknown = true;
+  return err;
+}
+
+/**
+ * Runs one Admin GraphQL call. A non-idempotent mutation (inventoryAdjustQuantities,
+ * inventoryMoveQuantities) is only retried where Shopify rejected it (HTTP 429,
+ * THROTTLED); after a network error or a 5xx it may already have been applied, so
+ * it fails with err.outcomeUnknown = true instead of being sent twice.
+ */
+export async function shopifyGraphql(query, variables, { idempotent = true } = {}) {
+  const shopDomain = requireEnv("SHOPIFY_STORE_DOMAIN");
+  const token = requireEnv("SHOPIFY_ADMIN_TOKEN");
+  const url = `https://${shopDomain}/admin/api/${shopifyApiVersion()}/graphql.json`;
+
+  for (let attempt = 0; ; attempt++) {
+    const lastAttempt = attempt + 1 >= RETRY.maxAttempts;
+
+    // Don't send a query we already know the bucket cannot pay for
+    const waitMs = msUntilAvailable(requestedCostByQuery.get(query));
+    if (waitMs > 0) {
+      console.warn(`Shopify bucket low; waiting ${waitMs}ms before the next call.`);
+      await sleep(waitMs);
+    }
+
+    let resp;
+    try {
+      resp = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Shopify-Access-Token": token,
+        },
+        body: JSON.stringify({ query, variables }),
+      });
+    } catch (err) {
+      if (!idempotent) throw outcomeUnknownError(`Shopify request failed: ${err?.message || err}`);
+      if (lastAttempt) throw new Error(`Shopify request failed: ${err?.message || err}`);
+      const delay = backoffMs(attempt);
+      console.warn(`Shopify request failed (${err?.message || err}); retrying in ${delay}ms.`);
+      await sleep(delay);
+      continue;
+    }
+
+    const json = await resp.json().catch(() => ({}));
+    rememberCost(query, json?.extensions?.cost);
+
+    if (resp.status >= 500 && !idempotent) {
+      throw outcomeUnknownError(`Shopify HTTP ${resp.status}: ${JSON.stringify(json).slice(0, 500)}`);
+    }
+
+    if (resp.status === 429 || resp.status >= 500) {
+      if (lastAttempt) throw new Error(`Shopify HTTP ${resp.status}: ${JSON.stringify(json).slice(0, 500)}`);
+      const delay = retryAfterMs(resp) ?? backoffMs(attempt);
+      console.warn(`Shopify HTTP ${resp.status}; retrying in ${delay}ms.`);
+      await sleep(delay);
+      continue;
+    }
+
+    if (!resp.ok) throw new Error(`Shopify HTTP ${resp.status}: ${JSON.stringify(json).slice(0, 500)}`);
+
+    if (isThrottled(json.errors)) {
+      if (lastAttempt) throw new Error(`Shopify GraphQL errors: ${JSON.stringify(json.errors).slice(0, 500)}`);
+      // Wait for exactly what the query needs when Shopify told us; jitter on top
+      const delay = (msUntilAvailable(requestedCostByQuery.get(query)) || backoffMs(attempt)) + backoffMs(0);
+      console.warn(`Shopify THROTTLED; retrying in ${delay}ms.`);
+      await sleep(delay);
+      continue;
+    }
+
+    if (json.errors?.length) throw new Error(`Shopify GraphQL errors: ${JSON.stringify(json.errors).slice(0, 500)}`);
+
+    return json.data;
+  }
+}
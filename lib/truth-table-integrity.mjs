@@ -0,0 +1,91 @@
+// lib/truth-table-integrity.mjs (ESM)
+// Goal: Truth_Table checks that need only the sheet itself – the same item and
+// location on two rows, one SKU on different items, malformed GIDs and empty
+// SKUs. Used by validate-truth-table.mjs (Validation tab) and by reverse-sync,
+// which does not push rows in conflict.
+
+import { cellString } from "./truth-table-schema.mjs";
+
+export const INVENTORY_ITEM_GID_PATTERN = /^gid:\/\/shopify\/InventoryItem\/\d+$/;
+export const LOCATION_GID_PATTERN = /^gid:\/\/shopify\/Location\/\d+$/;
+
+/**
+ * Checks reverse-sync refuses to push a row for.
+ */
+export const PUSH_BLOCKING_CHECKS = ["DUPLICATE_ITEM", "MALFORMED_GID"];
+
+function otherRows(rowNumbers, self) {
+  return rowNumbers.filter((n) => n !== self).join(", ");
+}
+
+/**
+ * One finding per row and check:
+ * [{ check, row, inventoryItemId, locationId, sku, note }], check being
+ * DUPLICATE_ITEM, DUPLICATE_SKU, MALFORMED_GID or EMPTY_SKU.
+ * Rows without InventoryItem_ID and SKU are blank and skipped; SKU checks
+ * need the SKU column, Location_ID is checked when the column exists.
+ * resolveLocationId maps the Location_ID cell to the row's location (default
+ * location for an empty cell), as the jobs do.
+ */
+export function findTableIssues(rows, cols, { resolveLocationId }) {
+  const issues = [];
+  const entries = [];
+
+  for (let i = 1; i < rows.length; i++) {
+    const row = rows[i];
+    const inventoryItemId = cellString(row, cols.inventoryItemId);
+    const sku = cellString(row, cols.sku ?? -1);
+    if (!inventoryItemId && !sku) continue;
+
+    const locationCell = cellString(row, cols.locationId ?? -1);
+    entries.push({ row: i + 1, inventoryItemId, locationId: resolveLocationId(locationCell), locationCell, sku });
+  }
+
+  const issue = (e, check, note) =>
+    issues.push({ check, row: e.row, inventoryItemId: e.inventoryItemId, locationId: e.locationId, sku: e.sku, note });
+
+  // Same item at the same location: forward sync updates only the first row,
+  // reverse sync would push from each of them
+  const rowsByItemLocation = new Map();
+  for (const e of entries) {
+    if (!e.inventoryItemId) continue;
+    const key = `${e.inventoryItemId}|${e.locationId}`;
+    if (!rowsByItemLocation.has(key)) rowsByItemLocation.set(key, []);
+    rowsByItemLocation.get(key).push(e.row);
+  }
+
+  // One SKU on rows of different items (rows of one item at several locations are fine)
+  const entriesBySku = new Map();
+  if ((cols.sku ?? -1) !== -1) {
+    for (const e of entries) {
+      if (!e.sku) continue;
+      const key = e.sku.toLowerCase();
+      if (!entriesBySku.has(key)) entriesBySku.set(key, []);
+      entriesBySku.get(key).push(e);
+    }
+  }
+
+  for (const e of entries) {
+    if (e.inventoryItemId && !INVENTORY_ITEM_GID_PATTERN.test(e.inventoryItemId)) {
+      issue(e, "MALFORMED_GID", `InventoryItem_ID "${e.inventoryItemId}" is not gid://shopify/InventoryItem/<number>`);
+    }
+    if (e.locationCell && !LOCATION_GID_PATTERN.test(e.locationCell)) {
+      issue(e, "MALFORMED_GID", `Location_ID "${e.locationCell}" is not gid://shopify/Location/<number>`);
+    }
+
+    const sameItem = e.inventoryItemId ? rowsByItemLocation.get(`${e.inventoryItemId}|${e.locationId}`) : [];
+    if (sameItem.length > 1) {
+      issue(e, "DUPLICATE_ITEM", `Same InventoryItem_ID and location as row(s) ${otherRows(sameItem, e.row)}`);
+    }
+
+    const sameSku = e.sku ? entriesBySku.get(e.sku.toLowerCase()) || [] : [];
+    const otherItems = sameSku.filter((other) => other.inventoryItemId !== e.inventoryItemId).map((o) => o.row);
+    if (otherItems.length) {
+      issue(e, "DUPLICATE_SKU", `SKU also used by another item on row(s) ${otherRows(otherItems, e.row)}`);
+    }
+
+    if ((cols.sku ?? -1) !== -1 && !e.sku) issue(e, "EMPTY_SKU", "SKU is empty");
+  }
+
+  return issues;
+}
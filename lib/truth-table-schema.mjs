@@ -0,0 +1,118 @@
+// lib/truth-table-schema.mjs (ESM)
+// Goal: One definition of the Truth_Table columns, shared by every job.
+// Columns are always resolved from the header row, never from fixed letters.
+
+/**
+ * Column key -> exact header text in Truth_Table.
+ */
+export const TRUTH_TABLE_HEADERS = {
+  category: "Category",
+  productTitle: "Product_Title",
+  variantTitle: "Variant_Title",
+  sku: "SKU",
+  desired: "Desired_Available",
+  available: "Available",
+  status: "ReverseSync_Status",
+  lastPushedAt: "ReverseSync_LastPushedAt",
+  lastError: "ReverseSync_LastError",
+  attempts: "ReverseSync_Attempts",
+  nextRetryAt: "ReverseSync_NextRetryAt",
+  inventoryItemId: "InventoryItem_ID",
+  locationId: "Location_ID",
+  availableUpdatedAt: "Available_UpdatedAt",
+  itemStatus: "Item_Status",
+  approvedBy: "Approved_By",
+  approvalValue: "Approval_Value",
+  reason: "Reason",
+  onHand: "On_Hand",
+  committed: "Committed",
+  incoming: "Incoming",
+  reserved: "Reserved",
+  damaged: "Damaged",
+  desiredOnHand: "Desired_On_Hand",
+  move: "Move",
+  barcode: "Barcode",
+};
+
+/**
+ * Item_Status values set by mark-discontinued-items.mjs. Rows carrying one of
+ * these are never pushed to Shopify; an empty Item_Status means active.
+ */
+export const INACTIVE_ITEM_STATUSES = ["DELETED", "ARCHIVED", "DISCONNECTED"];
+
+/**
+ * Resolves column keys to 0-based indexes from the header row.
+ * Throws when a required header is missing, or when any requested header
+ * appears more than once (we could not tell which copy is meant).
+ * Missing optional headers resolve to -1.
+ */
+export function resolveColumns(headerRow, { required = [], optional = [] } = {}) {
+  const headers = (headerRow || []).map((h) => String(h ?? "").trim());
+  const cols = {};
+  const missing = [];
+  const duplicated = [];
+
+  for (const key of [...required, ...optional]) {
+    const name = TRUTH_TABLE_HEADERS[key];
+    if (!name) throw new Error(`Unknown Truth_Table column key: ${key}`);
+
+    const indexes = [];
+    headers.forEach((h, i) => {
+      if (h === name) indexes.push(i);
+    });
+
+    if (indexes.length > 1) duplicated.push(`${name} (columns ${indexes.map(columnLetter).join(", ")})`);
+    if (indexes.length === 0 && required.includes(key)) missing.push(name);
+    cols[key] = indexes.length ? indexes[0] : -1;
+  }
+
+  if (missing.length || duplicated.length) {
+    const problems = [];
+    if (missing.length) problems.push(`missing header(s): ${missing.join(", ")}`);
+    if (duplicated.length) problems.push(`duplicated header(s): ${duplicated.join("; ")}`);
+    throw new Error(`Truth_Table schema check failed – ${problems.join(" / ")}`);
+  }
+
+  return cols;
+}
+
+/**
+ * 0 -> A, 25 -> Z, 26 -> AA, ...
+ */
+export function columnLetter(index) {
+  let result = "";
+  let n = index + 1;
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    result = String.fromCharCode(65 + rem) + result;
+    n = Math.floor((n - 1) / 26);
+  }
+  return result;
+}
+
+/**
+ * A1 reference of a single cell, e.g. Truth_Table!F12.
+ */
+export function cellA1(sheetName, columnIndex, rowNumber) {
+  return `${sheetName}!${columnLetter(columnIndex)}${rowNumber}`;
+}
+
+/**
+ * Parses "Sheet!F12" / "'My Sheet'!AB3" into { columnIndex, rowNumber }.
+ */
+export function parseCellA1(range) {
+  const match = /!\$?([A-Z]+)\$?(\d+)$/.exec(range);
+  if (!match) return null;
+  let columnIndex = 0;
+  for (const ch of match[1]) columnIndex = columnIndex * 26 + (ch.charCodeAt(0) - 64);
+  return { columnIndex: columnIndex - 1, rowNumber: Number(match[2]) };
+}
+
+/**
+ * Cell value as trimmed string ("" for empty / missing columns).
+ */
+export function cellString(row, columnIndex) {
+  if (columnIndex < 0) return "";
+  const value = row[columnIndex];
+  return value === null || value === undefined ? "" : String(value).trim();
+}
@@ -0,0 +1,281 @@
+// link-inventory-items.mjs (ESM)
+// Goal: Fill InventoryItem_ID for rows added by hand (SKU and/or Barcode only),
+// so they take part in reverse sync, reconcile and the other jobs.
+// A unique match is linked; no match, several matches or an item that already
+// has a row at the same location are flagged in ReverseSync_Status.
+
+import { createAuditLog } from "./lib/audit-log.mjs";
+import { createChangePlan, isDryRun } from "./lib/change-plan.mjs";
+import { itemLocationKey, requireLocationIds, resolveRowLocationId } from "./lib/locations.mjs";
+import { batchUpdateValues, getSheetsClient, readTable } from "./lib/sheets.mjs";
+import { shopifyGraphql } from "./lib/shopify-client.mjs";
+import { cellA1, cellString } from "./lib/truth-table-schema.mjs";
+
+const CONFIG = {
+  spreadsheetId: process.env.SPREADSHEET_ID,
+  sheetName: process.env.SHEET_NAME || "Truth_Table",
+
+  // Columns are resolved from the header row (lib/truth-table-schema.mjs)
+  columns: {
+    required: ["inventoryItemId", "status", "lastError"],
+    optional: ["sku", "barcode", "locationId"], // at least one of SKU / Barcode must exist
+  },
+
+  shopDomain: process.env.SHOPIFY_STORE_DOMAIN,
+
+  searchBatchSize: 25, // SKUs / barcodes per productVariants search
+};
+
+// ReverseSync_Status values owned by this job
+const LINK_STATUSES = ["NOT_FOUND", "AMBIGUOUS", "DUPLICATE"];
+
+function requireEnv(name) {
+  const v = process.env[name];
+  if (!v) throw new Error(`Missing env var: ${name}`);
+  return v;
+}
+
+// SKUs and barcodes are compared trimmed and case-insensitively
+function normalizeCode(value) {
+  return String(value ?? "").trim().toLowerCase();
+}
+
+const SEARCH_VARIANTS_QUERY = `
+  query SearchVariants($query: String!, $after: String) {
+    productVariants(first: 250, query: $query, after: $after) {
+      pageInfo { hasNextPage endCursor }
+      edges {
+        node {
+          sku
+          barcode
+          inventoryItem { id }
+          product { title status }
+        }
+      }
+    }
+  }
+`;
+
+function searchTerm(field, value) {
+  return `${field}:"${String(value).replace(/["\\]/g, "\\$&")}"`;
+}
+
+/**
+ * Variants whose `field` ("sku" or "barcode") equals one of the values.
+ * Shopify's search is not an exact match, so results are filtered here.
+ * Returns normalized value -> [{ inventoryItemId, sku, barcode, productTitle, productStatus }].
+ */
+async function searchVariants(field, values) {
+  const result = new Map();
+  const unique = [...new Set(values.map(normalizeCode))].filter(Boolean);
+  for (const value of unique) result.set(value, []);
+
+  for (let i = 0; i < unique.length; i += CONFIG.searchBatchSize) {
+    const batch = unique.slice(i, i + CONFIG.searchBatchSize);
+    const query = batch.map((value) => searchTerm(field, value)).join(" OR ");
+
+    let after = null;
+    do {
+      const data = await shopifyGraphql(SEARCH_VARIANTS_QUERY, { query, after });
+      const conn = data?.productVariants;
+
+      for (const edge of conn?.edges || []) {
+        const node = edge?.node;
+        const matches = result.get(normalizeCode(node?.[field]));
+        if (!matches || !node?.inventoryItem?.id) continue;
+        matches.push({
+          inventoryItemId: node.inventoryItem.id,
+          sku: node.sku || "",
+          barcode: node.barcode || "",
+          productTitle: node.product?.title || "",
+          productStatus: node.product?.status || "",
+        });
+      }
+
+      after = conn?.pageInfo?.hasNextPage ? conn.pageInfo.endCursor : null;
+    } while (after);
+  }
+
+  return result;
+}
+
+/**
+ * Picks the variant for one row: by SKU first, by Barcode when the SKU finds
+ * nothing; a second code narrows several matches down, and so does leaving
+ * out archived products.
+ */
+function resolveMatches({ sku, barcode }, bySku, byBarcode) {
+  let matches = sku ? bySku.get(normalizeCode(sku)) || [] : [];
+  if (matches.length === 0 && barcode) matches = byBarcode.get(normalizeCode(barcode)) || [];
+
+  if (matches.length > 1 && sku && barcode) {
+    const both = matches.filter(
+      (m) => normalizeCode(m.sku) === normalizeCode(sku) && normalizeCode(m.barcode) === normalizeCode(barcode)
+    );
+    if (both.length) matches = both;
+  }
+  if (matches.length > 1) {
+    const active = matches.filter((m) => m.productStatus !== "ARCHIVED");
+    if (active.length) matches = active;
+  }
+  return matches;
+}
+
+function describeMatch(m) {
+  return `${m.productTitle || "?"} (SKU ${m.sku || "-"}, barcode ${m.barcode || "-"}, ${m.inventoryItemId})`;
+}
+
+async function main() {
+  requireEnv("SPREADSHEET_ID");
+  requireEnv("SHOPIFY_STORE_DOMAIN");
+  requireEnv("SHOPIFY_ADMIN_TOKEN");
+  requireLocationIds();
+
+  const sheets = await getSheetsClient();
+
+  // Header row + only the columns this job uses
+  const { rows, cols } = await readTable(sheets, {
+    spreadsheetId: CONFIG.spreadsheetId,
+    sheetName: CONFIG.sheetName,
+    columns: CONFIG.columns,
+    valueRenderOption: "UNFORMATTED_VALUE",
+  });
+
+  if (rows.length < 2) {
+    console.log("No data rows found.");
+    return;
+  }
+
+  if (cols.sku === -1 && cols.barcode === -1) {
+    throw new Error(`${CONFIG.sheetName} has neither a SKU nor a Barcode column to link by.`);
+  }
+
+  console.log(`Loaded ${rows.length - 1} rows from ${CONFIG.sheetName}.`);
+
+  const linkedKeys = new Map(); // "inventoryItemId|locationId" -> row number
+  const unlinked = [];
+  for (let i = 1; i < rows.length; i++) {
+    const row = rows[i];
+    const locationId = resolveRowLocationId(cellString(row, cols.locationId));
+    const inventoryItemId = cellString(row, cols.inventoryItemId);
+
+    if (inventoryItemId) {
+      linkedKeys.set(itemLocationKey(inventoryItemId, locationId), i + 1);
+      continue;
+    }
+
+    const sku = cellString(row, cols.sku);
+    const barcode = cellString(row, cols.barcode);
+    if (!sku && !barcode) continue; // empty row
+
+    unlinked.push({
+      rowIndex1Based: i + 1,
+      locationId,
+      sku,
+      barcode,
+      status: cellString(row, cols.status),
+      lastError: cellString(row, cols.lastError),
+    });
+  }
+
+  console.log(`Rows without InventoryItem_ID: ${unlinked.length}.`);
+  if (unlinked.length === 0) return;
+
+  const bySku = await searchVariants("sku", unlinked.map((e) => e.sku));
+  const byBarcode = await searchVariants("barcode", unlinked.map((e) => e.barcode));
+
+  const audit = createAuditLog({ job: "link-inventory-items" });
+  const updates = [];
+  const counts = { linked: 0, NOT_FOUND: 0, AMBIGUOUS: 0, DUPLICATE: 0 };
+
+  const flag = (e, status, msg) => {
+    counts[status]++;
+    // A status typed by a person stays; only our own flags are replaced
+    if (e.status && !LINK_STATUSES.includes(e.status)) return;
+    if (e.status === status && e.lastError === msg) return;
+    updates.push(
+      { range: cellA1(CONFIG.sheetName, cols.status, e.rowIndex1Based), values: [[status]] },
+      { range: cellA1(CONFIG.sheetName, cols.lastError, e.rowIndex1Based), values: [[msg]] }
+    );
+    console.warn(`${status} row ${e.rowIndex1Based}: ${msg}`);
+  };
+
+  for (const e of unlinked) {
+    const looked = [e.sku && `SKU "${e.sku}"`, e.barcode && `barcode "${e.barcode}"`].filter(Boolean).join(" / ");
+    const matches = resolveMatches(e, bySku, byBarcode);
+
+    if (matches.length === 0) {
+      flag(e, "NOT_FOUND", `No Shopify variant with ${looked}.`);
+      continue;
+    }
+    if (matches.length > 1) {
+      flag(
+        e,
+        "AMBIGUOUS",
+        `${matches.length} Shopify variants match ${looked}: ${matches.slice(0, 5).map(describeMatch).join("; ")}. ` +
+          "Fill in InventoryItem_ID by hand."
+      );
+      continue;
+    }
+
+    const match = matches[0];
+    const key = itemLocationKey(match.inventoryItemId, e.locationId);
+    if (linkedKeys.has(key)) {
+      flag(
+        e,
+        "DUPLICATE",
+        `${looked} is ${describeMatch(match)}, which already has row ${linkedKeys.get(key)} at ${e.locationId}.`
+      );
+      continue;
+    }
+    linkedKeys.set(key, e.rowIndex1Based); // two hand-added rows for the same item: the second one is a duplicate
+
+    counts.linked++;
+    updates.push({
+      range: cellA1(CONFIG.sheetName, cols.inventoryItemId, e.rowIndex1Based),
+      values: [[match.inventoryItemId]],
+    });
+    if (LINK_STATUSES.includes(e.status)) {
+      updates.push(
+        { range: cellA1(CONFIG.sheetName, cols.status, e.rowIndex1Based), values: [[""]] },
+        { range: cellA1(CONFIG.sheetName, cols.lastError, e.rowIndex1Based), values: [[""]] }
+      );
+    }
+    audit.record({
+      inventoryItemId: match.inventoryItemId,
+      locationId: e.locationId,
+      sku: e.sku || match.sku,
+      field: "InventoryItem_ID",
+      oldValue: "",
+      newValue: match.inventoryItemId,
+    });
+    console.log(`Row ${e.rowIndex1Based}: ${looked} -> ${match.inventoryItemId}`);
+  }
+
+  console.log(
+    `Linked ${counts.linked}; not found ${counts.NOT_FOUND}, ambiguous ${counts.AMBIGUOUS}, duplicate ${counts.DUPLICATE}.`
+  );
+
+  if (updates.length === 0) {
+    console.log("Nothing to update.");
+    return;
+  }
+
+  if (isDryRun()) {
+    const plan = createChangePlan("link-inventory-items");
+    plan.addSheetUpdates(updates, { rows, itemColumnIndex: cols.inventoryItemId });
+    await plan.report({ sheets, spreadsheetId: CONFIG.spreadsheetId });
+    return;
+  }
+
+  await batchUpdateValues(sheets, CONFIG.spreadsheetId, updates);
+
+  await audit.flush(sheets, CONFIG.spreadsheetId);
+
+  console.log("Done.");
+}
+
+main().catch((err) => {
+  console.error("Link inventory items failed:", err?.message || err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,248 @@
+// mark-discontinued-items.mjs (ESM)
+// Goal: Mark Truth_Table rows whose Shopify item is gone in Item_Status:
+// DELETED (inventory item / variant deleted), ARCHIVED (product archived) or
+// DISCONNECTED (item no longer stocked at the row's location).
+// Optionally copies newly marked rows to an Archive tab; the rows stay in
+// Truth_Table, because other jobs write to it by row number. reverse-sync skips them.
+
+import { createAuditLog } from "./lib/audit-log.mjs";
+import { createChangePlan, isDryRun } from "./lib/change-plan.mjs";
+import { LOCATION_IDS, itemLocationKey, requireLocationIds, resolveRowLocationId } from "./lib/locations.mjs";
+import {
+  appendSheetTabRows,
+  batchUpdateValues,
+  ensureSheetTab,
+  getSheetsClient,
+  readRows,
+  readTable,
+} from "./lib/sheets.mjs";
+import { shopifyGraphql } from "./lib/shopify-client.mjs";
+import { INVENTORY_ITEM_GID_PATTERN } from "./lib/truth-table-integrity.mjs";
+import { INACTIVE_ITEM_STATUSES, cellA1, cellString } from "./lib/truth-table-schema.mjs";
+
+const CONFIG = {
+  spreadsheetId: process.env.SPREADSHEET_ID,
+  sheetName: process.env.SHEET_NAME || "Truth_Table",
+
+  // Columns are resolved from the header row (lib/truth-table-schema.mjs)
+  columns: {
+    required: ["inventoryItemId", "itemStatus"],
+    optional: ["locationId", "sku"], // empty / missing Location_ID means the default location
+  },
+
+  shopDomain: process.env.SHOPIFY_STORE_DOMAIN,
+
+  // ARCHIVE_ROWS=1 → copy rows to the Archive tab when they are marked
+  archiveRows: ["1", "true", "yes"].includes(String(process.env.ARCHIVE_ROWS || "").trim().toLowerCase()),
+  archiveSheetName: process.env.ARCHIVE_SHEET || "Archive",
+};
+
+function requireEnv(name) {
+  const v = process.env[name];
+  if (!v) throw new Error(`Missing env var: ${name}`);
+  return v;
+}
+
+const GET_ITEM_STATES_QUERY = `
+  query GetItemStates($ids: [ID!]!, $locationId: ID!) {
+    nodes(ids: $ids) {
+      ... on InventoryItem {
+        id
+        variant {
+          product { status }
+        }
+        inventoryLevel(locationId: $locationId) { id }
+      }
+    }
+  }
+`;
+
+/**
+ * Item_Status for each item/location pair: "" when active, otherwise one of
+ * INACTIVE_ITEM_STATUSES. Batches of 100 items per location.
+ */
+async function fetchItemStates(pairs) {
+  const result = new Map(); // "inventoryItemId|locationId" -> status
+
+  const idsByLocation = new Map();
+  for (const { inventoryItemId, locationId } of pairs) {
+    if (!idsByLocation.has(locationId)) idsByLocation.set(locationId, new Set());
+    idsByLocation.get(locationId).add(inventoryItemId);
+  }
+
+  for (const [locationId, idSet] of idsByLocation) {
+    const ids = [...idSet];
+    for (let i = 0; i < ids.length; i += 100) {
+      const batch = ids.slice(i, i + 100);
+      const data = await shopifyGraphql(GET_ITEM_STATES_QUERY, { ids: batch, locationId });
+
+      // nodes() keeps the order of ids and returns null for deleted ones
+      (data?.nodes || []).forEach((node, index) => {
+        let status = "";
+        if (!node?.id || !node.variant) status = "DELETED";
+        else if (node.variant.product?.status === "ARCHIVED") status = "ARCHIVED";
+        else if (!node.inventoryLevel) status = "DISCONNECTED";
+        result.set(itemLocationKey(batch[index], locationId), status);
+      });
+    }
+  }
+
+  return result;
+}
+
+async function main() {
+  requireEnv("SPREADSHEET_ID");
+  requireEnv("SHOPIFY_STORE_DOMAIN");
+  requireEnv("SHOPIFY_ADMIN_TOKEN");
+  requireLocationIds();
+
+  const sheets = await getSheetsClient();
+
+  // Header row + only the columns this job uses
+  const { rows, cols } = await readTable(sheets, {
+    spreadsheetId: CONFIG.spreadsheetId,
+    sheetName: CONFIG.sheetName,
+    columns: CONFIG.columns,
+    valueRenderOption: "UNFORMATTED_VALUE",
+  });
+
+  if (rows.length < 2) {
+    console.log("No data rows found.");
+    return;
+  }
+
+  console.log(`Loaded ${rows.length - 1} rows from ${CONFIG.sheetName}.`);
+
+  const entries = [];
+  for (let i = 1; i < rows.length; i++) {
+    const row = rows[i];
+    const inventoryItemId = cellString(row, cols.inventoryItemId);
+    if (!inventoryItemId) continue;
+    // One malformed id makes Shopify reject the whole nodes() query
+    if (!INVENTORY_ITEM_GID_PATTERN.test(inventoryItemId)) {
+      console.warn(`Skipping row ${i + 1}: malformed InventoryItem_ID "${inventoryItemId}".`);
+      continue;
+    }
+
+    const locationId = resolveRowLocationId(cellString(row, cols.locationId));
+    if (!LOCATION_IDS.includes(locationId)) continue; // location not configured for this run
+
+    entries.push({
+      rowIndex1Based: i + 1,
+      inventoryItemId,
+      locationId,
+      sku: cellString(row, cols.sku),
+      current: cellString(row, cols.itemStatus),
+    });
+  }
+
+  const states = await fetchItemStates(entries);
+
+  const audit = createAuditLog({ job: "mark-discontinued-items" });
+  const updates = [];
+  const toArchive = [];
+
+  for (const e of entries) {
+    // Only our own values are managed; anything else in Item_Status was typed by a person
+    if (e.current && !INACTIVE_ITEM_STATUSES.includes(e.current)) continue;
+
+    const next = states.get(itemLocationKey(e.inventoryItemId, e.locationId)) ?? e.current;
+    if (next === e.current) continue;
+    if (next && CONFIG.archiveRows) toArchive.push({ ...e, next });
+
+    updates.push({ range: cellA1(CONFIG.sheetName, cols.itemStatus, e.rowIndex1Based), values: [[next]] });
+    audit.record({
+      inventoryItemId: e.inventoryItemId,
+      locationId: e.locationId,
+      sku: e.sku,
+      field: "Item_Status",
+      oldValue: e.current,
+      newValue: next,
+    });
+    console.log(`Row ${e.rowIndex1Based}: ${e.inventoryItemId} @ ${e.locationId} ${e.current || "(active)"} -> ${next || "(active)"}`);
+  }
+
+  console.log(`Item_Status changes: ${updates.length}. Rows to copy to ${CONFIG.archiveSheetName}: ${toArchive.length}.`);
+
+  if (updates.length === 0) {
+    console.log("Nothing to update.");
+    return;
+  }
+
+  if (isDryRun()) {
+    const plan = createChangePlan("mark-discontinued-items");
+    plan.addSheetUpdates(updates, { rows, itemColumnIndex: cols.inventoryItemId });
+    for (const e of toArchive) {
+      plan.add({
+        target: "sheet",
+        row: e.rowIndex1Based,
+        item: e.inventoryItemId,
+        field: `Copy to ${CONFIG.archiveSheetName}`,
+        oldValue: "",
+        newValue: e.next,
+      });
+    }
+    await plan.report({ sheets, spreadsheetId: CONFIG.spreadsheetId });
+    return;
+  }
+
+  if (toArchive.length) {
+    // Copied before Item_Status is written (the copy gets the new value), so a
+    // failure in between copies the row again next run instead of never.
+    // Rows are not deleted: forward and reverse sync write Truth_Table by row
+    // number, and a delete between their read and their write would shift
+    // those writes onto other items.
+    const fullRows = await readRows(sheets, {
+      spreadsheetId: CONFIG.spreadsheetId,
+      sheetName: CONFIG.sheetName,
+      rowNumbers: toArchive.map((e) => e.rowIndex1Based),
+      valueRenderOption: "UNFORMATTED_VALUE",
+    });
+
+    // Rows inserted or deleted by hand since the sheet was read would put other items at these numbers
+    const idAt = (index) => cellString(fullRows[index] || [], cols.inventoryItemId);
+    const k = toArchive.findIndex((e, index) => idAt(index) !== e.inventoryItemId);
+    if (k !== -1) {
+      throw new Error(
+        `${CONFIG.sheetName} changed while the job ran: row ${toArchive[k].rowIndex1Based} no longer holds ` +
+          `${toArchive[k].inventoryItemId}. Nothing was written; run the job again.`
+      );
+    }
+
+    const archivedAt = new Date().toISOString();
+    await ensureSheetTab(sheets, CONFIG.spreadsheetId, CONFIG.archiveSheetName, ["Archived_At", ...rows[0]]);
+    await appendSheetTabRows(
+      sheets,
+      CONFIG.spreadsheetId,
+      CONFIG.archiveSheetName,
+      fullRows.map((row, index) => {
+        const copy = [...row];
+        copy[cols.itemStatus] = toArchive[index].next;
+        return [archivedAt, ...copy];
+      })
+    );
+
+    for (const e of toArchive) {
+      audit.record({
+        inventoryItemId: e.inventoryItemId,
+        locationId: e.locationId,
+        sku: e.sku,
+        field: "Row",
+        oldValue: `${CONFIG.sheetName}!${e.rowIndex1Based}`,
+        newValue: `copied to ${CONFIG.archiveSheetName}`,
+      });
+    }
+    console.log(`Copied ${toArchive.length} rows to ${CONFIG.archiveSheetName}.`);
+  }
+
+  await batchUpdateValues(sheets, CONFIG.spreadsheetId, updates);
+
+  await audit.flush(sheets, CONFIG.spreadsheetId);
+
+  console.log("Done.");
+}
+
+main().catch((err) => {
+  console.error("Mark discontinued items failed:", err?.message || err);
+  process.exitCode = 1;
+});
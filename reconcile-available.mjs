@@ -1,37 +1,60 @@
 // reconcile-available.mjs (ESM)
-// Goal: Refresh Truth_Table.Available from Shopify for the configured location.
-
-import { google } from "googleapis";
+// Goal: Refresh Truth_Table.Available (and the optional On_Hand, Committed,
+// Incoming, Reserved, Damaged columns) from Shopify for the configured locations.
+
+import { createAuditLog } from "./lib/audit-log.mjs";
+import { createChangePlan, isDryRun } from "./lib/change-plan.mjs";
+import { buildLocationLevelMaps, quantityStateChanges } from "./lib/inventory-quantities.mjs";
+import { LOCATION_IDS, itemLocationKey, requireLocationIds, resolveRowLocationId } from "./lib/locations.mjs";
+import { fetchInventoryBulk } from "./lib/shopify-bulk.mjs";
+import { batchUpdateValues, getSheetsClient, readTable, replaceSheetTabValues } from "./lib/sheets.mjs";
+import { shopifyGraphql } from "./lib/shopify-client.mjs";
+import { INVENTORY_ITEM_GID_PATTERN } from "./lib/truth-table-integrity.mjs";
+import { cellA1, cellString } from "./lib/truth-table-schema.mjs";
 
 const CONFIG = {
   spreadsheetId: process.env.SPREADSHEET_ID,
   sheetName: process.env.SHEET_NAME || "Truth_Table",
 
-  // Columns (letters)
-  col: {
-    available: "F",
-    inventoryItemId: "J",
-    lastError: "I",
+  // Columns are resolved from the header row (lib/truth-table-schema.mjs)
+  columns: {
+    required: ["available", "lastError", "inventoryItemId"],
+    // empty / missing Location_ID means the default location; quantity state columns are refreshed when present
+    optional: ["locationId", "sku", "onHand", "committed", "incoming", "reserved", "damaged"],
   },
 
   maxRowsPerRun: Number(process.env.MAX_ROWS_PER_RUN || "200"), // reconcile can do more
   shopDomain: process.env.SHOPIFY_STORE_DOMAIN,
-  locationId: process.env.SHOPIFY_LOCATION_ID, // gid://shopify/Location/...
+
+  // "paged" (location.inventoryLevels, max 10 x 250 levels per location) or
+  // "bulk" (bulkOperationRunQuery, no ceiling)
+  inventorySource: process.env.INVENTORY_SOURCE || "paged",
+
+  // "apply" (default) refreshes Available; "report" only writes the Reconcile_Report tab
+  // (always from the bulk source: a capped paged read would report false orphans)
+  mode: process.env.RECONCILE_MODE || "apply",
+  reportSheetName: process.env.RECONCILE_REPORT_SHEET || "Reconcile_Report",
 };
 
+const REPORT_HEADERS = [
+  "Generated_At",
+  "Group",
+  "Row",
+  "InventoryItem_ID",
+  "Location_ID",
+  "SKU",
+  "Sheet_Available",
+  "Shopify_Available",
+  "Delta",
+  "Note",
+];
+
 function requireEnv(name) {
   const v = process.env[name];
   if (!v) throw new Error(`Missing env var: ${name}`);
   return v;
 }
 
-async function getSheetsClient() {
-  const auth = new google.auth.GoogleAuth({
-    scopes: ["https://www.googleapis.com/auth/spreadsheets"],
-  });
-  return google.sheets({ version: "v4", auth });
-}
-
 function normalizeInt(value) {
   if (value === null || value === undefined) return null;
   const s = String(value).trim();
@@ -41,101 +64,198 @@ function normalizeInt(value) {
   return Math.trunc(n);
 }
 
-async function shopifyGraphql(query, variables) {
-  const shopDomain = requireEnv("SHOPIFY_STORE_DOMAIN");
-  const token = requireEnv("SHOPIFY_ADMIN_TOKEN");
-  const url = `https://${shopDomain}/admin/api/2025-10/graphql.json`;
-
-  const resp = await fetch(url, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "X-Shopify-Access-Token": token,
-    },
-    body: JSON.stringify({ query, variables }),
-  });
-
-  const json = await resp.json().catch(() => ({}));
+const GET_EXISTING_ITEMS_QUERY = `
+  query GetExistingItems($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on InventoryItem { id }
+    }
+  }
+`;
 
-  if (!resp.ok) throw new Error(`Shopify HTTP ${resp.status}: ${JSON.stringify(json).slice(0, 500)}`);
-  if (json.errors?.length) throw new Error(`Shopify GraphQL errors: ${JSON.stringify(json.errors).slice(0, 500)}`);
+/**
+ * Which of the given InventoryItem ids still exist (batches of 100).
+ */
+async function fetchExistingInventoryItemIds(ids) {
+  const existing = new Set();
+  const unique = [...new Set(ids)];
+
+  for (let i = 0; i < unique.length; i += 100) {
+    const data = await shopifyGraphql(GET_EXISTING_ITEMS_QUERY, { ids: unique.slice(i, i + 100) });
+    for (const node of data?.nodes || []) {
+      if (node?.id) existing.add(node.id);
+    }
+  }
 
-  return json.data;
+  return existing;
 }
 
 /**
- * Instead of inventoryItem.inventoryLevels(locationIds: ...),
- * we query the Location inventoryLevels and filter by inventoryItemId.
- * This avoids the unsupported argument error you hit.
+ * Read-only comparison of the sheet with Shopify, in four groups:
+ * - DRIFT: sheet Available differs from Shopify (Delta = Shopify - sheet)
+ * - ORPHAN: the item was deleted, or has no level at the row's location
+ * - MALFORMED_ID: InventoryItem_ID is not an InventoryItem GID (kept out of
+ *   the nodes() lookup, which one bad id would fail as a whole)
+ * - MISSING_FROM_SHEET: a Shopify level with no row for its item/location
  */
-const GET_LOCATION_LEVELS = `
-  query GetLocationLevels($locationId: ID!, $after: String) {
-    location(id: $locationId) {
-      id
-      inventoryLevels(first: 250, after: $after) {
-        pageInfo { hasNextPage endCursor }
-        edges {
-          node {
-            id
-            item { id }
-            quantities(names: ["available"]) { name quantity }
-          }
-        }
-      }
-    }
-  }
-`;
+async function buildReconcileReport({ rows, cols, availableByLocation, details }) {
+  const drift = [];
+  const orphans = [];
+  const malformed = [];
+  const sheetKeys = new Set(); // "inventoryItemId|locationId"
 
-async function buildLocationAvailableMap(locationId, maxPages = 10) {
-  const map = new Map(); // inventoryItemId -> availableQuantity
-  let after = null;
+  for (let i = 1; i < rows.length; i++) {
+    const row = rows[i];
+    const invItemId = cellString(row, cols.inventoryItemId);
+    if (!invItemId) continue;
 
-  for (let page = 0; page < maxPages; page++) {
-    const data = await shopifyGraphql(GET_LOCATION_LEVELS, { locationId, after });
-    const conn = data?.location?.inventoryLevels;
-    const edges = conn?.edges || [];
+    const locationId = resolveRowLocationId(cellString(row, cols.locationId));
+    const availableMap = availableByLocation.get(locationId);
+    if (!availableMap) continue; // location not configured for this run
+    sheetKeys.add(itemLocationKey(invItemId, locationId));
+
+    const entry = {
+      row: i + 1,
+      inventoryItemId: invItemId,
+      locationId,
+      sku: cellString(row, cols.sku),
+      sheetAvailable: normalizeInt(row[cols.available]),
+    };
+    const shopAvailable = availableMap.get(invItemId);
 
-    for (const e of edges) {
-      const node = e?.node;
-      const invItemId = node?.item?.id;
-      const qty = node?.quantities?.find((x) => x.name === "available")?.quantity;
-      if (invItemId && typeof qty === "number") map.set(invItemId, qty);
-    }
+    if (!INVENTORY_ITEM_GID_PATTERN.test(invItemId)) malformed.push(entry);
+    else if (typeof shopAvailable !== "number") orphans.push(entry);
+    else if (entry.sheetAvailable !== shopAvailable) drift.push({ ...entry, shopAvailable });
+  }
+
+  const existing = orphans.length
+    ? await fetchExistingInventoryItemIds(orphans.map((o) => o.inventoryItemId))
+    : new Set();
 
-    if (!conn?.pageInfo?.hasNextPage) break;
-    after = conn.pageInfo.endCursor;
+  const missing = [];
+  for (const [locationId, availableMap] of availableByLocation) {
+    for (const [invItemId, shopAvailable] of availableMap) {
+      if (sheetKeys.has(itemLocationKey(invItemId, locationId))) continue;
+      missing.push({ inventoryItemId: invItemId, locationId, sku: details?.get(invItemId)?.sku || "", shopAvailable });
+    }
   }
 
-  return map;
+  const now = new Date().toISOString();
+  const reportRows = [
+    ...drift.map((d) => [
+      now,
+      "DRIFT",
+      d.row,
+      d.inventoryItemId,
+      d.locationId,
+      d.sku,
+      d.sheetAvailable ?? "",
+      d.shopAvailable,
+      d.sheetAvailable === null ? "" : d.shopAvailable - d.sheetAvailable,
+      d.sheetAvailable === null ? "Available is empty in the sheet" : "",
+    ]),
+    ...orphans.map((o) => [
+      now,
+      "ORPHAN",
+      o.row,
+      o.inventoryItemId,
+      o.locationId,
+      o.sku,
+      o.sheetAvailable ?? "",
+      "",
+      "",
+      existing.has(o.inventoryItemId)
+        ? "Item is not stocked at this location"
+        : "InventoryItem_ID no longer exists in Shopify",
+    ]),
+    ...malformed.map((o) => [
+      now,
+      "MALFORMED_ID",
+      o.row,
+      o.inventoryItemId,
+      o.locationId,
+      o.sku,
+      o.sheetAvailable ?? "",
+      "",
+      "",
+      "InventoryItem_ID is not gid://shopify/InventoryItem/<number>",
+    ]),
+    ...missing.map((m) => [now, "MISSING_FROM_SHEET", "", m.inventoryItemId, m.locationId, m.sku, "", m.shopAvailable, "", ""]),
+  ];
+
+  return {
+    reportRows,
+    counts: { drift: drift.length, orphans: orphans.length, malformed: malformed.length, missing: missing.length },
+  };
 }
 
 async function main() {
   requireEnv("SPREADSHEET_ID");
   requireEnv("SHOPIFY_STORE_DOMAIN");
-  requireEnv("SHOPIFY_LOCATION_ID");
   requireEnv("SHOPIFY_ADMIN_TOKEN");
+  requireLocationIds();
+  if (CONFIG.mode !== "apply" && CONFIG.mode !== "report") {
+    throw new Error(`Unknown RECONCILE_MODE: ${CONFIG.mode}`);
+  }
 
   const sheets = await getSheetsClient();
 
-  const range = `${CONFIG.sheetName}!A:Z`;
-  const res = await sheets.spreadsheets.values.get({
+  // Header row + only the columns this job uses
+  const { rows, cols } = await readTable(sheets, {
     spreadsheetId: CONFIG.spreadsheetId,
-    range,
+    sheetName: CONFIG.sheetName,
+    columns: CONFIG.columns,
     valueRenderOption: "UNFORMATTED_VALUE",
   });
 
-  const rows = res.data.values || [];
   if (rows.length < 2) {
     console.log("No data rows found.");
     return;
   }
 
   console.log(`Loaded ${rows.length - 1} rows from ${CONFIG.sheetName}.`);
-  console.log(`Building available map from Shopify for location ${CONFIG.locationId}...`);
 
-  const availableMap = await buildLocationAvailableMap(CONFIG.locationId);
-  console.log(`Shopify map ready. Items: ${availableMap.size}`);
+  let availableByLocation = new Map(); // locationId -> (inventoryItemId -> availableQuantity)
+  let quantitiesByLocation = new Map(); // locationId -> (inventoryItemId -> { on_hand, committed, ... })
+  let details = null; // bulk only: inventoryItemId -> { sku, ... }
+  // The paged source stops after 10 pages per location; in a report every item
+  // past that would show up as ORPHAN and be left out of MISSING_FROM_SHEET
+  const inventorySource = CONFIG.mode === "report" ? "bulk" : CONFIG.inventorySource;
+  if (inventorySource !== CONFIG.inventorySource) {
+    console.log("RECONCILE_MODE=report reads the whole catalog: using INVENTORY_SOURCE=bulk.");
+  }
+
+  if (inventorySource === "bulk") {
+    console.log("Building available maps from a Shopify bulk operation...");
+    ({
+      levels: availableByLocation,
+      quantities: quantitiesByLocation,
+      details,
+    } = await fetchInventoryBulk({ locationIds: LOCATION_IDS }));
+    for (const [locationId, availableMap] of availableByLocation) {
+      console.log(`Shopify map ready for ${locationId}. Items: ${availableMap.size}`);
+    }
+  } else {
+    for (const locationId of LOCATION_IDS) {
+      console.log(`Building available map from Shopify for location ${locationId}...`);
+      const { availableMap, quantitiesMap } = await buildLocationLevelMaps(locationId);
+      availableByLocation.set(locationId, availableMap);
+      quantitiesByLocation.set(locationId, quantitiesMap);
+      console.log(`Shopify map ready for ${locationId}. Items: ${availableMap.size}`);
+    }
+  }
+
+  if (CONFIG.mode === "report") {
+    const { reportRows, counts } = await buildReconcileReport({ rows, cols, availableByLocation, details });
+    console.log(
+      `Reconcile report: ${counts.drift} drift, ${counts.orphans} orphan, ${counts.malformed} malformed id, ` +
+        `${counts.missing} missing from sheet.`
+    );
+    await replaceSheetTabValues(sheets, CONFIG.spreadsheetId, CONFIG.reportSheetName, REPORT_HEADERS, reportRows);
+    console.log(`Wrote ${reportRows.length} rows to ${CONFIG.reportSheetName}.`);
+    return;
+  }
 
+  const audit = createAuditLog({ job: "reconcile-available" });
   const updates = [];
   let touched = 0;
 
@@ -145,35 +265,68 @@ async function main() {
     const rowIndex1Based = i + 1;
     const row = rows[i];
 
-    const invItemId = row[9] ? String(row[9]).trim() : null; // J
+    const invItemId = cellString(row, cols.inventoryItemId);
     if (!invItemId) continue;
 
-    const sheetAvailable = normalizeInt(row[5]); // F
+    const locationId = resolveRowLocationId(cellString(row, cols.locationId));
+    const availableMap = availableByLocation.get(locationId);
+    if (!availableMap) continue; // location not configured for this run
+
+    const sheetAvailable = normalizeInt(row[cols.available]);
     const shopAvailable = availableMap.get(invItemId);
 
     // If Shopify doesn't have a level at this location, skip
     if (typeof shopAvailable !== "number") continue;
 
+    const stateChanges = quantityStateChanges(row, cols, quantitiesByLocation.get(locationId)?.get(invItemId));
+
     if (sheetAvailable !== shopAvailable) {
       updates.push(
-        { range: `${CONFIG.sheetName}!${CONFIG.col.available}${rowIndex1Based}`, values: [[shopAvailable]] },
-        { range: `${CONFIG.sheetName}!${CONFIG.col.lastError}${rowIndex1Based}`, values: [[""]] }
+        { range: cellA1(CONFIG.sheetName, cols.available, rowIndex1Based), values: [[shopAvailable]] },
+        { range: cellA1(CONFIG.sheetName, cols.lastError, rowIndex1Based), values: [[""]] }
       );
-      touched++;
+      audit.record({
+        inventoryItemId: invItemId,
+        locationId,
+        sku: cellString(row, cols.sku),
+        field: "Available",
+        oldValue: row[cols.available],
+        newValue: shopAvailable,
+      });
+    }
+
+    for (const change of stateChanges) {
+      updates.push({ range: cellA1(CONFIG.sheetName, cols[change.key], rowIndex1Based), values: [[change.newValue]] });
+      audit.record({
+        inventoryItemId: invItemId,
+        locationId,
+        sku: cellString(row, cols.sku),
+        field: change.header,
+        oldValue: change.oldValue,
+        newValue: change.newValue,
+      });
     }
+
+    if (sheetAvailable !== shopAvailable || stateChanges.length) touched++;
   }
 
-  console.log(`Rows needing Available refresh: ${touched}`);
+  console.log(`Rows needing a quantity refresh: ${touched}`);
 
   if (updates.length === 0) {
     console.log("Nothing to update.");
     return;
   }
 
-  await sheets.spreadsheets.values.batchUpdate({
-    spreadsheetId: CONFIG.spreadsheetId,
-    requestBody: { valueInputOption: "RAW", data: updates },
-  });
+  if (isDryRun()) {
+    const plan = createChangePlan("reconcile-available");
+    plan.addSheetUpdates(updates, { rows, itemColumnIndex: cols.inventoryItemId });
+    await plan.report({ sheets, spreadsheetId: CONFIG.spreadsheetId });
+    return;
+  }
+
+  await batchUpdateValues(sheets, CONFIG.spreadsheetId, updates);
+
+  await audit.flush(sheets, CONFIG.spreadsheetId);
 
   console.log("Reconcile done.");
 }
@@ -1,40 +1,106 @@
 // reverse-sync.mjs (ESM)
-import { google } from "googleapis";
+import { createAuditLog } from "./lib/audit-log.mjs";
+import { createChangePlan, isDryRun } from "./lib/change-plan.mjs";
+import { batchUpdateValues, getSheetsClient, readTable } from "./lib/sheets.mjs";
+import { QUANTITY_STATE_COLUMNS, fetchLevelQuantities } from "./lib/inventory-quantities.mjs";
+import { LOCATION_IDS, itemLocationKey, requireLocationIds, resolveRowLocationId } from "./lib/locations.mjs";
+import { shopifyGraphql } from "./lib/shopify-client.mjs";
+import { PUSH_BLOCKING_CHECKS, findTableIssues } from "./lib/truth-table-integrity.mjs";
+import { INACTIVE_ITEM_STATUSES, TRUTH_TABLE_HEADERS, cellA1, cellString } from "./lib/truth-table-schema.mjs";
 
 const CONFIG = {
   spreadsheetId: process.env.SPREADSHEET_ID,
   sheetName: process.env.SHEET_NAME || "Truth_Table",
 
-  // Column letters (from you)
-  col: {
-    desired: "E",
-    available: "F",
-    status: "G",
-    lastPushedAt: "H",
-    lastError: "I",
-    inventoryItemId: "J",
+  // Columns are resolved from the header row (lib/truth-table-schema.mjs)
+  columns: {
+    required: ["desired", "available", "status", "lastPushedAt", "lastError", "inventoryItemId"],
+    // empty / missing Location_ID means the default location; without the
+    // Attempts / NextRetryAt columns, ERROR rows are retried on every run.
+    // Approved_By and Approval_Value are required once APPROVAL_THRESHOLD is set; an empty Reason means "correction".
+    // Desired_On_Hand (with On_Hand) and Move are alternatives to Desired_Available.
+    optional: [
+      "locationId",
+      "sku",
+      "itemStatus",
+      "attempts",
+      "nextRetryAt",
+      "approvedBy",
+      "approvalValue",
+      "reason",
+      "desiredOnHand",
+      "move",
+      ...Object.keys(QUANTITY_STATE_COLUMNS),
+    ],
   },
 
   maxRowsPerRun: Number(process.env.MAX_ROWS_PER_RUN || "50"),
 
+  // Failed rows: ERROR with exponential backoff, GAVE_UP after maxPushAttempts
+  maxPushAttempts: Number(process.env.MAX_PUSH_ATTEMPTS || "6"),
+  retryBaseMinutes: Number(process.env.RETRY_BASE_MINUTES || "5"),
+  retryMaxMinutes: Number(process.env.RETRY_MAX_MINUTES || "720"),
+  pushBatchSize: Number(process.env.PUSH_BATCH_SIZE || "50"), // rows per inventorySetQuantities / inventoryAdjustQuantities call
+
+  // What to do when Shopify's Available moved away from the sheet's before an
+  // absolute Desired_Available was pushed (sales / receipts in between):
+  // "overwrite" → push Desired_Available anyway
+  // "hold"      → mark the row CONFLICT until a person sets CONFIRMED
+  // "rebase"    → push live + (Desired_Available - sheet Available)
+  conflictPolicy: process.env.CONFLICT_POLICY || "overwrite",
+
+  // Validation of Desired_Available (rows failing it get VALIDATION_ERROR and are not pushed)
+  maxDesiredQuantity: Number(process.env.MAX_DESIRED_QUANTITY || "10000"),
+  maxDesiredChange: process.env.MAX_DESIRED_CHANGE ? Number(process.env.MAX_DESIRED_CHANGE) : null, // |change| limit, unset = none
+
+  // Changes above this need a second person's name in Approved_By (NEEDS_APPROVAL until then):
+  // "100" → more than 100 units, "25%" → more than 25% of Available. Unset = no approval step.
+  approvalThreshold: (process.env.APPROVAL_THRESHOLD || "").trim(),
+
   shopDomain: process.env.SHOPIFY_STORE_DOMAIN, // holy-tea-amsterdam.myshopify.com
-  locationId: process.env.SHOPIFY_LOCATION_ID,  // gid://shopify/Location/...
   token: process.env.SHOPIFY_ADMIN_TOKEN,       // injected from Secret Manager
 };
 
+// Reasons Shopify accepts for inventorySetQuantities / inventoryAdjustQuantities
+const SHOPIFY_ADJUSTMENT_REASONS = [
+  "correction",
+  "cycle_count_available",
+  "damaged",
+  "movement_canceled",
+  "movement_created",
+  "movement_received",
+  "movement_updated",
+  "other",
+  "promotion",
+  "quality_control",
+  "received",
+  "reservation_created",
+  "reservation_deleted",
+  "reservation_updated",
+  "restock",
+  "safety_stock",
+  "shrinkage",
+];
+const DEFAULT_ADJUSTMENT_REASON = "correction";
+
+// Quantity states inventoryMoveQuantities can move units between
+const MOVABLE_STATES = ["available", "damaged", "quality_control", "reserved", "safety_stock"];
+
+// Absolute targets: Shopify quantity name -> input column and the sheet's last known value
+const SET_COLUMNS = {
+  available: { input: "desired", quantity: "available" },
+  on_hand: { input: "desiredOnHand", quantity: "onHand" },
+};
+
+// Statuses this job sets on rows it will not push; cleared once the row has no change left
+const FLAG_STATUSES = ["VALIDATION_ERROR", "NEEDS_APPROVAL", "DUPLICATE"];
+
 function requireEnv(name) {
   const v = process.env[name];
   if (!v) throw new Error(`Missing env var: ${name}`);
   return v;
 }
 
-async function getSheetsClient() {
-  const auth = new google.auth.GoogleAuth({
-    scopes: ["https://www.googleapis.com/auth/spreadsheets"],
-  });
-  return google.sheets({ version: "v4", auth });
-}
-
 function normalizeInt(value) {
   if (value === null || value === undefined) return null;
   const s = String(value).trim();
@@ -44,169 +110,680 @@ function normalizeInt(value) {
   return Math.trunc(n);
 }
 
-function nowIso() {
-  return new Date().toISOString();
+/**
+ * Desired_Available is either an absolute target ("34") or a relative
+ * adjustment ("+12" / "-3"). Sheets turns a typed "+12" into the number 12,
+ * so delta cells must be formatted as plain text; a negative number is always
+ * read as a delta because a negative target stock makes no sense.
+ * Returns { delta } or { quantity }, { error } for input that is not a whole
+ * number, or null for "no change" (empty cell).
+ */
+function parseDesired(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === "string" && !value.trim()) return null;
+
+  if (typeof value === "string") {
+    const m = /^\s*([+-])\s*(\d+)\s*$/.exec(value);
+    if (m) return { delta: (m[1] === "-" ? -1 : 1) * Number(m[2]) };
+  }
+
+  const n = typeof value === "number" ? value : /^\s*\d+(\.\d+)?\s*$/.test(value) ? Number(value) : NaN;
+  if (!Number.isFinite(n)) {
+    return { error: `Desired_Available "${value}" is not a number. Use a whole number (34) or a change (+12 / -3).` };
+  }
+  if (!Number.isInteger(n)) return { error: `Desired_Available ${n} is not a whole number.` };
+  if (n < 0) return { delta: n };
+  return { quantity: n };
 }
 
 /**
- * Shopify GraphQL helper
+ * Desired_On_Hand: an absolute on_hand target only ("40").
+ * Returns { quantity }, { error }, or null for an empty cell.
  */
-async function shopifyGraphql(query, variables) {
-  const shopDomain = requireEnv("SHOPIFY_STORE_DOMAIN");
-  const token = requireEnv("SHOPIFY_ADMIN_TOKEN");
-  const url = `https://${shopDomain}/admin/api/2025-10/graphql.json`;
-
-  const resp = await fetch(url, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "X-Shopify-Access-Token": token,
-    },
-    body: JSON.stringify({ query, variables }),
-  });
-
-  const json = await resp.json().catch(() => ({}));
+function parseDesiredOnHand(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === "string" && !value.trim()) return null;
 
-  if (!resp.ok) {
-    throw new Error(`Shopify HTTP ${resp.status}: ${JSON.stringify(json).slice(0, 500)}`);
+  const n = typeof value === "number" ? value : /^\s*\d+(\.\d+)?\s*$/.test(value) ? Number(value) : NaN;
+  if (!Number.isInteger(n) || n < 0) {
+    return { error: `Desired_On_Hand "${value}" is not a whole number of 0 or more.` };
   }
+  return { quantity: n };
+}
+
+/**
+ * Move: "<quantity> <from> > <to>", e.g. "5 available > damaged" ("->", "→"
+ * and "to" work as well). Returns { quantity, from, to }, { error }, or null
+ * for an empty cell.
+ */
+function parseMove(value) {
+  const s = value === null || value === undefined ? "" : String(value).trim();
+  if (!s) return null;
 
-  if (json.errors?.length) {
-    throw new Error(`Shopify GraphQL errors: ${JSON.stringify(json.errors).slice(0, 500)}`);
+  const m = /^(\d+)\s+([a-z_ ]+?)\s*(?:->|→|>|\bto\b)\s*([a-z_ ]+)$/i.exec(s);
+  const state = (name) => name.trim().toLowerCase().replace(/\s+/g, "_");
+  const move = m && { quantity: Number(m[1]), from: state(m[2]), to: state(m[3]) };
+  if (!move || move.quantity === 0) {
+    return { error: `Move "${s}" is not understood. Use "<quantity> <from> > <to>", e.g. "5 available > damaged".` };
+  }
+  for (const name of [move.from, move.to]) {
+    if (!MOVABLE_STATES.includes(name)) {
+      return { error: `Move "${s}": ${name} is not a state units can be moved to or from (${MOVABLE_STATES.join(", ")}).` };
+    }
   }
+  if (move.from === move.to) return { error: `Move "${s}" moves units onto the state they are in.` };
+  return move;
+}
 
-  return json.data;
+function formatMove(move) {
+  return `${move.quantity} ${move.from} → ${move.to}`;
 }
 
-const GET_CURRENT_AVAILABLE_QUERY = `
-  query GetLocationLevelsForRetry($locationId: ID!, $after: String) {
-    location(id: $locationId) {
-      id
-      inventoryLevels(first: 250, after: $after) {
-        pageInfo { hasNextPage endCursor }
-        edges {
-          node {
-            item { id }
-            quantities(names: ["available"]) { name quantity }
-          }
-        }
-      }
-    }
+/**
+ * Range checks on a parsed Desired_Available (or Desired_On_Hand) against the
+ * sheet's Available (or On_Hand). Returns an error message, or null when the
+ * value may be pushed.
+ */
+function validateDesired(input, current, { inputHeader = "Desired_Available", quantityHeader = "Available" } = {}) {
+  const target = input.delta !== undefined ? (current === null ? null : current + input.delta) : input.quantity;
+  const change = input.delta !== undefined ? input.delta : current === null ? null : input.quantity - current;
+  const shown = input.delta !== undefined ? formatDelta(input.delta) : String(input.quantity);
+
+  if (target !== null && target < 0) {
+    return `${inputHeader} ${shown} would take ${quantityHeader} from ${current} to ${target}.`;
   }
-`;
+  if (target !== null && target > CONFIG.maxDesiredQuantity) {
+    return `${inputHeader} ${shown} would set ${quantityHeader} to ${target}, above MAX_DESIRED_QUANTITY=${CONFIG.maxDesiredQuantity}.`;
+  }
+  if (change !== null && CONFIG.maxDesiredChange !== null && Math.abs(change) > CONFIG.maxDesiredChange) {
+    return `${inputHeader} ${shown} changes ${quantityHeader} by ${change}, more than MAX_DESIRED_CHANGE=${CONFIG.maxDesiredChange}.`;
+  }
+  return null;
+}
+
+/**
+ * Under CONFLICT_POLICY=rebase the pushed quantity is recomputed from Shopify's
+ * live value, so it gets the same bounds as a typed target (not below 0, not
+ * above MAX_DESIRED_QUANTITY). Returns the error message or null.
+ */
+function validateRebased(quantity, live, sheetQuantity, name) {
+  const headers = SET_COLUMNS[name];
+  const inputHeader = TRUTH_TABLE_HEADERS[headers.input];
+  const quantityHeader = TRUTH_TABLE_HEADERS[headers.quantity];
+  const error = validateDesired({ quantity }, live, { inputHeader: `Rebased ${inputHeader}`, quantityHeader });
+  return error && `${error} (CONFLICT_POLICY=rebase: Shopify has ${live}, the sheet had ${sheetQuantity}.)`;
+}
 
-async function getCurrentAvailableQuantity(inventoryItemId, locationId) {
-  // We page through location.inventoryLevels and find the matching item.id
-  let after = null;
+/**
+ * The one change a row asks for: Desired_Available, Desired_On_Hand or Move.
+ * Returns null (nothing to do), { error }, or
+ *   { input, action: "set", name, quantity, sheetQuantity }  absolute available / on_hand
+ *   { input, action: "adjust", delta }                       relative available
+ *   { input, action: "move", move: { quantity, from, to } }
+ * with hasChange, and change / base (units, and the quantity they are measured
+ * against) for the approval threshold.
+ */
+function parseRowAction(row, cols) {
+  const filled = [
+    ["desired", parseDesired(row[cols.desired])],
+    ["desiredOnHand", cols.desiredOnHand === -1 ? null : parseDesiredOnHand(row[cols.desiredOnHand])],
+    ["move", cols.move === -1 ? null : parseMove(row[cols.move])],
+  ].filter(([, parsed]) => parsed);
 
-  for (let page = 0; page < 10; page++) {
-    const data = await shopifyGraphql(GET_CURRENT_AVAILABLE_QUERY, { locationId, after });
-    const conn = data?.location?.inventoryLevels;
-    const edges = conn?.edges || [];
+  if (filled.length === 0) return null;
+  if (filled.length > 1) {
+    const headers = filled.map(([key]) => TRUTH_TABLE_HEADERS[key]).join(" and ");
+    return { error: `${headers} are both filled in. Push one change per row: clear one and fill it in again later.` };
+  }
 
-    for (const e of edges) {
-      const node = e?.node;
-      const itemId = node?.item?.id;
-      if (itemId !== inventoryItemId) continue;
+  const [input, parsed] = filled[0];
+  if (parsed.error) return parsed;
+  const available = normalizeInt(row[cols.available]);
 
-      const qty = node?.quantities?.find((x) => x.name === "available")?.quantity;
-      if (typeof qty === "number") return qty;
+  if (input === "move") {
+    if (CONFIG.maxDesiredChange !== null && parsed.quantity > CONFIG.maxDesiredChange) {
+      return { error: `Move ${formatMove(parsed)} is more than MAX_DESIRED_CHANGE=${CONFIG.maxDesiredChange}.` };
+    }
+    return { input, action: "move", move: parsed, hasChange: true, change: parsed.quantity, base: available };
+  }
 
-      throw new Error("Found matching inventory level but missing 'available' quantity.");
+  if (input === "desiredOnHand") {
+    const onHand = normalizeInt(row[cols.onHand]);
+    if (onHand === null) {
+      return { error: "Desired_On_Hand needs the row's On_Hand (Shopify's value when it was typed), which is empty. Run reconcile first." };
     }
+    const error = validateDesired(parsed, onHand, { inputHeader: "Desired_On_Hand", quantityHeader: "On_Hand" });
+    if (error) return { error };
+    return {
+      input,
+      action: "set",
+      name: "on_hand",
+      quantity: parsed.quantity,
+      sheetQuantity: onHand,
+      hasChange: parsed.quantity !== onHand,
+      change: parsed.quantity - onHand,
+      base: onHand,
+    };
+  }
+
+  const error = validateDesired(parsed, available);
+  if (error) return { error };
+  if (parsed.delta !== undefined) {
+    return { input, action: "adjust", delta: parsed.delta, hasChange: parsed.delta !== 0, change: parsed.delta, base: available };
+  }
+  return {
+    input,
+    action: "set",
+    name: "available",
+    quantity: parsed.quantity,
+    sheetQuantity: available,
+    hasChange: available !== null && parsed.quantity !== available,
+    change: available === null ? null : parsed.quantity - available,
+    base: available,
+  };
+}
+
+/**
+ * Reason cell → { reason } ("" when empty) or { error }. Case, spaces and
+ * dashes are forgiven: "Cycle count available" → "cycle_count_available".
+ */
+function parseReason(value) {
+  const s = value === null || value === undefined ? "" : String(value).trim().toLowerCase().replace(/[\s-]+/g, "_");
+  if (s && !SHOPIFY_ADJUSTMENT_REASONS.includes(s)) {
+    return { error: `Reason "${value}" is not a Shopify adjustment reason (${SHOPIFY_ADJUSTMENT_REASONS.join(", ")}).` };
+  }
+  return { reason: s };
+}
 
-    if (!conn?.pageInfo?.hasNextPage) break;
-    after = conn.pageInfo.endCursor;
+/**
+ * "2,3,4,7" → "2-4,7"
+ */
+function formatRowRanges(rowNumbers) {
+  const sorted = [...new Set(rowNumbers)].sort((a, b) => a - b);
+  const ranges = [];
+  for (const n of sorted) {
+    const last = ranges[ranges.length - 1];
+    if (last && n === last[1] + 1) last[1] = n;
+    else ranges.push([n, n]);
   }
+  return ranges.map(([from, to]) => (from === to ? String(from) : `${from}-${to}`)).join(",");
+}
+
+/**
+ * referenceDocumentUri of one push: spreadsheet, tab, sheet rows and run id,
+ * so Shopify's inventory history leads back to the cells and the Audit_Log.
+ */
+function referenceDocumentUri(rowNumbers, runId) {
+  return (
+    `holytea://reverse-sync/google-sheets/${encodeURIComponent(CONFIG.spreadsheetId)}/${encodeURIComponent(CONFIG.sheetName)}` +
+    `?rows=${formatRowRanges(rowNumbers)}&run=${encodeURIComponent(runId)}`
+  );
+}
+
+/**
+ * APPROVAL_THRESHOLD → { amount } or { percent }, null when unset.
+ */
+function parseApprovalThreshold(value) {
+  if (!value) return null;
+  const m = /^(\d+(?:\.\d+)?)\s*(%?)$/.exec(value);
+  if (!m) throw new Error(`Invalid APPROVAL_THRESHOLD: ${value} (use a number like 100, or a percentage like 25%)`);
+  return m[2] ? { percent: Number(m[1]) } : { amount: Number(m[1]) };
+}
+
+/**
+ * True when |change| is above the threshold. A percentage of an unknown or
+ * zero Available is 0, so every change to such a row needs approval.
+ */
+function needsApproval(change, available, threshold) {
+  const limit =
+    threshold.percent === undefined ? threshold.amount : (Math.max(available ?? 0, 0) * threshold.percent) / 100;
+  return Math.abs(change) > limit;
+}
+
+/**
+ * Approved_By holds a name; a ticked checkbox (TRUE) is accepted too but does
+ * not say who approved. Returns "" when not approved.
+ */
+function approverOf(value) {
+  if (value === true) return "checkbox";
+  const s = value === null || value === undefined || value === false ? "" : String(value).trim();
+  return s.toUpperCase() === "FALSE" ? "" : s;
+}
 
-  throw new Error(`Could not find inventory level for item at location (inventoryItemId=${inventoryItemId}).`);
+function formatDelta(delta) {
+  return delta > 0 ? `+${delta}` : String(delta);
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+/**
+ * Backoff after the given number of consecutive failures:
+ * retryBaseMinutes, doubled per failure, capped at retryMaxMinutes.
+ */
+function nextRetryIso(attempts) {
+  const minutes = Math.min(CONFIG.retryMaxMinutes, CONFIG.retryBaseMinutes * 2 ** (attempts - 1));
+  return new Date(Date.now() + minutes * 60 * 1000).toISOString();
 }
 
+const INVENTORY_ADJUST_MUTATION = `
+  mutation InventoryAdjust($input: InventoryAdjustQuantitiesInput!) {
+    inventoryAdjustQuantities(input: $input) {
+      inventoryAdjustmentGroup {
+        createdAt
+        reason
+        changes { name delta quantityAfterChange item { id } location { id } }
+      }
+      userErrors { code field message }
+    }
+  }
+`;
+
 const INVENTORY_SET_MUTATION = `
   mutation InventorySet($input: InventorySetQuantitiesInput!) {
     inventorySetQuantities(input: $input) {
       inventoryAdjustmentGroup {
         createdAt
         reason
-        changes { name delta quantityAfterChange }
+        changes { name delta quantityAfterChange item { id } location { id } }
+      }
+      userErrors { code field message }
+    }
+  }
+`;
+
+const INVENTORY_MOVE_MUTATION = `
+  mutation InventoryMove($input: InventoryMoveQuantitiesInput!) {
+    inventoryMoveQuantities(input: $input) {
+      inventoryAdjustmentGroup {
+        createdAt
+        reason
+        changes { name delta quantityAfterChange item { id } location { id } }
       }
       userErrors { code field message }
     }
   }
 `;
 
+function userErrorsError(userErrors) {
+  return new Error(`Shopify userErrors: ${JSON.stringify(userErrors).slice(0, 500)}`);
+}
+
+/**
+ * Index of the input entry a userError points at, from its field path
+ * (e.g. ["input", "quantities", "3", "compareQuantity"]), or null.
+ */
+function userErrorIndex(error, listName) {
+  const field = error?.field || [];
+  const pos = field.indexOf(listName);
+  if (pos === -1) return null;
+  const index = Number(field[pos + 1]);
+  return Number.isInteger(index) ? index : null;
+}
+
+/**
+ * The slice of a multi-item adjustment group that belongs to one item.
+ */
+function groupForItem(group, { inventoryItemId, locationId }) {
+  if (!group) return null;
+  const changes = (group.changes || []).filter(
+    (x) => x.item?.id === inventoryItemId && x.location?.id === locationId
+  );
+  return { createdAt: group.createdAt, reason: group.reason, changes };
+}
+
+/**
+ * Sends one multi-item inventory mutation. Shopify applies all entries or
+ * none, so entries hit by a userError are handed to handleItemErrors (which
+ * either gives up on them or fixes them for another try) and the rest is sent
+ * again until the call goes through.
+ * Returns item.key -> { group } | { error }; error.outcomeUnknown is set when a
+ * non-idempotent call (idempotent: false) failed after it may have been applied.
+ */
+async function runInventoryBatch({
+  mutation,
+  payloadKey,
+  listName,
+  buildInput,
+  items,
+  handleItemErrors,
+  idempotent = true,
+}) {
+  const results = new Map();
+  let pending = [...items];
+  const maxRounds = items.length * 3 + 1; // each item: at most two retries, then success or failure
+
+  for (let round = 0; pending.length > 0 && round < maxRounds; round++) {
+    let payload;
+    try {
+      const data = await shopifyGraphql(mutation, { input: buildInput(pending) }, { idempotent });
+      payload = data?.[payloadKey];
+    } catch (err) {
+      for (const item of pending) results.set(item.key, { error: err });
+      return results;
+    }
+
+    const userErrors = payload?.userErrors || [];
+    if (userErrors.length === 0) {
+      for (const item of pending) {
+        results.set(item.key, { group: groupForItem(payload?.inventoryAdjustmentGroup, item) });
+      }
+      return results;
+    }
+
+    const errorsByIndex = new Map();
+    for (const e of userErrors) {
+      const index = userErrorIndex(e, listName);
+      if (index === null || index >= pending.length) {
+        // Cannot tell which row this belongs to → the whole batch fails
+        for (const item of pending) results.set(item.key, { error: userErrorsError(userErrors) });
+        return results;
+      }
+      if (!errorsByIndex.has(index)) errorsByIndex.set(index, []);
+      errorsByIndex.get(index).push(e);
+    }
+
+    const failing = [];
+    const healthy = [];
+    pending.forEach((item, i) => {
+      if (errorsByIndex.has(i)) failing.push({ item, errors: errorsByIndex.get(i) });
+      else healthy.push(item);
+    });
+
+    const retry = await handleItemErrors(failing, results);
+    pending = [...healthy, ...retry];
+  }
+
+  for (const item of pending) {
+    results.set(item.key, { error: new Error("Gave up after repeated Shopify userErrors in this batch.") });
+  }
+  return results;
+}
+
 /**
- * Sets Shopify "available" quantity using compareQuantity (CAS).
- * If compareQuantity is stale, retries once using current Shopify quantity.
+ * Sets Shopify "available" (or "on_hand") for many items in one inventorySetQuantities call,
+ * using compareQuantity (CAS). When compareQuantity is stale, the current
+ * Shopify quantity is taken (liveQuantity from the up-front lookup when it
+ * differs from compareQuantity, otherwise a fresh direct lookup) and the item's
+ * conflict policy decides: "overwrite" retries with it as compareQuantity,
+ * "rebase" also moves quantity by the same amount (a rebased quantity that
+ * fails validateRebased returns { invalid } without pushing), "hold" returns
+ * { conflict: { expected, actual } } without pushing.
+ * Only an all-overwrite batch is resent after a 5xx / network error: a set
+ * that did land would come back as COMPARE_QUANTITY_STALE, and rebase would
+ * add the change again on top of it (hold would report a false CONFLICT).
+ * items: { key, inventoryItemId, locationId, quantity, compareQuantity, liveQuantity, policy, sheetQuantity, intendedDelta },
+ * key being the sheet row (it goes into the referenceDocumentUri).
  */
-async function shopifyInventorySetAvailable({ inventoryItemId, locationId, quantity, compareQuantity }) {
+async function shopifyInventorySetQuantitiesBatch(items, { name, reason, runId }) {
   requireEnv("SHOPIFY_STORE_DOMAIN");
   requireEnv("SHOPIFY_ADMIN_TOKEN");
-  requireEnv("SHOPIFY_LOCATION_ID");
-
-  const runOnce = async (cmpQty) => {
-    const variables = {
-      input: {
-        name: "available",
-        reason: "correction",
-        referenceDocumentUri: "holytea://reverse-sync/google-sheets",
-        quantities: [
-          {
-            inventoryItemId,
-            locationId,
-            quantity,
-            compareQuantity: cmpQty,
-          },
-        ],
-      },
-    };
 
-    const data = await shopifyGraphql(INVENTORY_SET_MUTATION, variables);
-    const payload = data?.inventorySetQuantities;
-    const userErrors = payload?.userErrors || [];
-    return { payload, userErrors };
-  };
+  return runInventoryBatch({
+    mutation: INVENTORY_SET_MUTATION,
+    payloadKey: "inventorySetQuantities",
+    listName: "quantities",
+    items: items.map((item) => ({ ...item, liveTried: false, lookedUp: false })),
+    idempotent: items.every((item) => item.policy === "overwrite"),
+    buildInput: (pending) => ({
+      name,
+      reason,
+      referenceDocumentUri: referenceDocumentUri(pending.map((item) => item.key), runId),
+      quantities: pending.map((item) => ({
+        inventoryItemId: item.inventoryItemId,
+        locationId: item.locationId,
+        quantity: item.quantity,
+        compareQuantity: item.compareQuantity,
+      })),
+    }),
+    handleItemErrors: async (failing, results) => {
+      const stale = [];
+      for (const { item, errors } of failing) {
+        // At most two retries: the up-front live value, then one fresh lookup
+        if (!item.lookedUp && errors.every((e) => e.code === "COMPARE_QUANTITY_STALE")) {
+          stale.push(item);
+        } else {
+          // Keep userErrors visible in logs/sheet
+          results.set(item.key, { error: userErrorsError(errors) });
+        }
+      }
 
-  // Attempt #1 using sheet-known compareQuantity
-  let { payload, userErrors } = await runOnce(compareQuantity);
+      const hasUsableLive = (item) =>
+        !item.liveTried && typeof item.liveQuantity === "number" && item.liveQuantity !== item.compareQuantity;
+      const needLookup = stale.filter((item) => !hasUsableLive(item));
+      const fresh = needLookup.length ? await fetchLevelQuantities(needLookup) : new Map();
 
-  if (userErrors.length) {
-    const stale = userErrors.find((e) => e.code === "COMPARE_QUANTITY_STALE");
-    if (stale) {
-      // Attempt #2: refresh compareQuantity from Shopify and retry once
-      const current = await getCurrentAvailableQuantity(inventoryItemId, locationId);
-      console.log(
-        `COMPARE_QUANTITY_STALE for ${inventoryItemId}. Retrying with current compareQuantity=${current} (desired=${quantity}).`
+      return stale.filter((item) => {
+        let current;
+        if (hasUsableLive(item)) {
+          item.liveTried = true;
+          current = item.liveQuantity;
+        } else {
+          item.lookedUp = true;
+          current = fresh.get(itemLocationKey(item.inventoryItemId, item.locationId))?.[name];
+        }
+
+        if (typeof current !== "number") {
+          results.set(item.key, {
+            error: new Error(
+              `Could not find inventory level for item at location (inventoryItemId=${item.inventoryItemId}).`
+            ),
+          });
+          return false;
+        }
+
+        if (item.policy === "hold") {
+          results.set(item.key, { conflict: { expected: item.compareQuantity, actual: current } });
+          return false;
+        }
+        if (item.policy === "rebase") {
+          item.quantity = current + item.intendedDelta;
+          const invalid = validateRebased(item.quantity, current, item.sheetQuantity, name);
+          if (invalid) {
+            results.set(item.key, { invalid });
+            return false;
+          }
+        }
+
+        console.log(
+          `COMPARE_QUANTITY_STALE for ${item.inventoryItemId}. Retrying with current compareQuantity=${current} (desired=${item.quantity}).`
+        );
+        item.compareQuantity = current;
+        return true;
+      });
+    },
+  });
+}
+
+/**
+ * Applies relative changes to Shopify "available" in one
+ * inventoryAdjustQuantities call. A delta lands on whatever Shopify holds
+ * right now, so there is no compareQuantity and no COMPARE_QUANTITY_STALE retry.
+ * items: { key, inventoryItemId, locationId, delta }, key being the sheet row.
+ */
+async function shopifyInventoryAdjustAvailableBatch(items, { reason, runId }) {
+  requireEnv("SHOPIFY_STORE_DOMAIN");
+  requireEnv("SHOPIFY_ADMIN_TOKEN");
+
+  return runInventoryBatch({
+    mutation: INVENTORY_ADJUST_MUTATION,
+    payloadKey: "inventoryAdjustQuantities",
+    listName: "changes",
+    items,
+    idempotent: false, // a delta sent twice lands twice
+    buildInput: (pending) => ({
+      name: "available",
+      reason,
+      referenceDocumentUri: referenceDocumentUri(pending.map((item) => item.key), runId),
+      changes: pending.map((item) => ({
+        inventoryItemId: item.inventoryItemId,
+        locationId: item.locationId,
+        delta: item.delta,
+      })),
+    }),
+    handleItemErrors: async (failing, results) => {
+      for (const { item, errors } of failing) results.set(item.key, { error: userErrorsError(errors) });
+      return [];
+    },
+  });
+}
+
+/**
+ * Moves units between quantity states (e.g. available → damaged) in one
+ * inventoryMoveQuantities call. Like a delta it lands on Shopify's current
+ * quantities, so there is no stale retry. States other than "available" need
+ * a ledgerDocumentUri; each entry gets its own row's URI.
+ * items: { key, inventoryItemId, locationId, quantity, from, to }, key being the sheet row.
+ */
+async function shopifyInventoryMoveBatch(items, { reason, runId }) {
+  requireEnv("SHOPIFY_STORE_DOMAIN");
+  requireEnv("SHOPIFY_ADMIN_TOKEN");
+
+  const terminal = (item, name) => ({
+    locationId: item.locationId,
+    name,
+    ...(name === "available" ? {} : { ledgerDocumentUri: referenceDocumentUri([item.key], runId) }),
+  });
+
+  return runInventoryBatch({
+    mutation: INVENTORY_MOVE_MUTATION,
+    payloadKey: "inventoryMoveQuantities",
+    listName: "changes",
+    items,
+    idempotent: false,
+    buildInput: (pending) => ({
+      reason,
+      referenceDocumentUri: referenceDocumentUri(pending.map((item) => item.key), runId),
+      changes: pending.map((item) => ({
+        inventoryItemId: item.inventoryItemId,
+        quantity: item.quantity,
+        from: terminal(item, item.from),
+        to: terminal(item, item.to),
+      })),
+    }),
+    handleItemErrors: async (failing, results) => {
+      for (const { item, errors } of failing) results.set(item.key, { error: userErrorsError(errors) });
+      return [];
+    },
+  });
+}
+
+/**
+ * Pushes candidates in chunks of pushBatchSize per mutation: absolute
+ * available / on_hand, available deltas and moves. Shopify takes one reason
+ * per call, so rows are grouped by Reason first.
+ * Returns rowIndex1Based -> { group } | { error }.
+ */
+async function pushCandidates(candidates, runId) {
+  const results = new Map();
+
+  const byReason = new Map();
+  for (const c of candidates) {
+    const reason = c.reason || DEFAULT_ADJUSTMENT_REASON;
+    if (!byReason.has(reason)) byReason.set(reason, []);
+    byReason.get(reason).push(c);
+  }
+
+  for (const [reason, group] of byReason) {
+    const deltas = group.filter((c) => c.action === "adjust");
+    const moves = group.filter((c) => c.action === "move");
+
+    for (const name of Object.keys(SET_COLUMNS)) {
+      const sets = group.filter((c) => c.action === "set" && c.name === name);
+      for (let i = 0; i < sets.length; i += CONFIG.pushBatchSize) {
+        const chunk = sets.slice(i, i + CONFIG.pushBatchSize);
+        const batch = await shopifyInventorySetQuantitiesBatch(
+          chunk.map((c) => ({
+            key: c.rowIndex1Based,
+            inventoryItemId: c.inventoryItemId,
+            locationId: c.locationId,
+            quantity: c.quantity,
+            compareQuantity: c.policy === "rebase" ? c.live : c.sheetQuantity, // CAS safety
+            liveQuantity: c.live,
+            policy: c.policy,
+            sheetQuantity: c.sheetQuantity,
+            intendedDelta: c.desired - c.sheetQuantity,
+          })),
+          { name, reason, runId }
+        );
+        for (const [key, result] of batch) results.set(key, result);
+      }
+    }
+
+    for (let i = 0; i < deltas.length; i += CONFIG.pushBatchSize) {
+      const chunk = deltas.slice(i, i + CONFIG.pushBatchSize);
+      const batch = await shopifyInventoryAdjustAvailableBatch(
+        chunk.map((c) => ({
+          key: c.rowIndex1Based,
+          inventoryItemId: c.inventoryItemId,
+          locationId: c.locationId,
+          delta: c.delta,
+        })),
+        { reason, runId }
       );
+      for (const [key, result] of batch) results.set(key, result);
+    }
 
-      ({ payload, userErrors } = await runOnce(current));
+    for (let i = 0; i < moves.length; i += CONFIG.pushBatchSize) {
+      const chunk = moves.slice(i, i + CONFIG.pushBatchSize);
+      const batch = await shopifyInventoryMoveBatch(
+        chunk.map((c) => ({
+          key: c.rowIndex1Based,
+          inventoryItemId: c.inventoryItemId,
+          locationId: c.locationId,
+          quantity: c.move.quantity,
+          from: c.move.from,
+          to: c.move.to,
+        })),
+        { reason, runId }
+      );
+      for (const [key, result] of batch) results.set(key, result);
     }
   }
 
-  if (userErrors.length) {
-    // Keep userErrors visible in logs/sheet
-    throw new Error(`Shopify userErrors: ${JSON.stringify(userErrors).slice(0, 500)}`);
-  }
+  return results;
+}
+
+/**
+ * Decides what an absolute row pushes when the sheet's Available / On_Hand
+ * (what the person saw when typing the target) no longer matches Shopify.
+ * Sets c.policy and c.quantity, c.conflict = { expected, actual } for "hold",
+ * and c.invalid when a rebased quantity fails validateRebased.
+ * A row set to CONFIRMED by a person is pushed as typed.
+ */
+function applyConflictPolicy(c) {
+  c.policy = c.status === "CONFIRMED" ? "overwrite" : CONFIG.conflictPolicy;
+  c.quantity = c.desired;
+  if (c.action !== "set" || c.live === null || c.live === c.sheetQuantity) return;
 
-  return payload;
+  if (c.policy === "hold") c.conflict = { expected: c.sheetQuantity, actual: c.live };
+  else if (c.policy === "rebase") {
+    c.quantity = c.live + (c.desired - c.sheetQuantity);
+    c.invalid = validateRebased(c.quantity, c.live, c.sheetQuantity, c.name);
+  }
 }
 
 async function main() {
   requireEnv("SPREADSHEET_ID");
   requireEnv("SHOPIFY_STORE_DOMAIN");
-  requireEnv("SHOPIFY_LOCATION_ID");
   requireEnv("SHOPIFY_ADMIN_TOKEN");
+  requireLocationIds();
+  if (!["overwrite", "hold", "rebase"].includes(CONFIG.conflictPolicy)) {
+    throw new Error(`Unknown CONFLICT_POLICY: ${CONFIG.conflictPolicy}`);
+  }
+  const approvalThreshold = parseApprovalThreshold(CONFIG.approvalThreshold);
 
   const sheets = await getSheetsClient();
-  const range = `${CONFIG.sheetName}!A:Z`;
 
-  const res = await sheets.spreadsheets.values.get({
+  // Header row + only the columns this job uses
+  const { rows, cols } = await readTable(sheets, {
     spreadsheetId: CONFIG.spreadsheetId,
-    range,
+    sheetName: CONFIG.sheetName,
+    columns: CONFIG.columns,
     valueRenderOption: "UNFORMATTED_VALUE",
   });
 
-  const rows = res.data.values || [];
   if (rows.length < 2) {
     console.log("No data rows found.");
     return;
@@ -214,96 +791,448 @@ async function main() {
 
   console.log(`Loaded ${rows.length - 1} rows from ${CONFIG.sheetName}.`);
 
-  const candidates = [];
+  if (approvalThreshold && (cols.approvedBy === -1 || cols.approvalValue === -1)) {
+    throw new Error(`APPROVAL_THRESHOLD is set but ${CONFIG.sheetName} has no Approved_By and Approval_Value columns.`);
+  }
+
+  // Optional, but ERROR rows lose their retry budget or backoff without them
+  if (cols.attempts === -1) {
+    console.warn(`${CONFIG.sheetName} has no ${TRUTH_TABLE_HEADERS.attempts} column: ERROR rows never reach GAVE_UP.`);
+  }
+  if (cols.nextRetryAt === -1) {
+    console.warn(
+      `${CONFIG.sheetName} has no ${TRUTH_TABLE_HEADERS.nextRetryAt} column: ERROR rows are retried on every run.`
+    );
+  }
+
+  const cell = (key, rowIndex1Based) => cellA1(CONFIG.sheetName, cols[key], rowIndex1Based);
+
+  const plan = isDryRun() ? createChangePlan("reverse-sync") : null;
+
+  // Rows in conflict (same item and location as another row, malformed GID) are
+  // never pushed; see validate-truth-table.mjs for the full report
+  const blockingIssues = new Map(); // row -> { status, note }
+  for (const issue of findTableIssues(rows, cols, { resolveLocationId: resolveRowLocationId })) {
+    if (!PUSH_BLOCKING_CHECKS.includes(issue.check) || blockingIssues.has(issue.row)) continue;
+    const status = issue.check === "DUPLICATE_ITEM" ? "DUPLICATE" : "VALIDATION_ERROR";
+    blockingIssues.set(issue.row, { status, note: `${issue.note}.` });
+  }
+
+  const eligible = [];
+  const validationUpdates = []; // VALIDATION_ERROR / NEEDS_APPROVAL / DUPLICATE flags
+  // The value was removed or fixed without a change → drop the stale flag
+  const clearFlag = (rowIndex1Based) =>
+    validationUpdates.push(
+      { range: cell("status", rowIndex1Based), values: [[""]] },
+      { range: cell("lastError", rowIndex1Based), values: [[""]] }
+    );
+  // An approval belongs to a value that is no longer pending
+  const clearApproval = (row, rowIndex1Based) => {
+    if (!cellString(row, cols.approvalValue)) return;
+    validationUpdates.push(
+      { range: cell("approvedBy", rowIndex1Based), values: [[""]] },
+      { range: cell("approvalValue", rowIndex1Based), values: [[""]] }
+    );
+  };
   for (let i = 1; i < rows.length; i++) {
     const row = rows[i];
 
-    const desired = normalizeInt(row[4]); // E
-    const available = normalizeInt(row[5]); // F
-    const invItemGid = row[9] ? String(row[9]).trim() : null; // J
+    const action = parseRowAction(row, cols);
+    const available = normalizeInt(row[cols.available]);
+    const invItemGid = cellString(row, cols.inventoryItemId) || null;
+    const locationId = resolveRowLocationId(cellString(row, cols.locationId));
+    const sku = cellString(row, cols.sku);
+    const status = cellString(row, cols.status);
+    const reasonInput = parseReason(row[cols.reason]);
 
     if (!invItemGid) continue;
-    if (desired === null || available === null) continue;
 
-    if (desired !== available) {
-      candidates.push({
+    const blocking = blockingIssues.get(i + 1);
+    if (blocking) {
+      if (action && (status !== blocking.status || cellString(row, cols.lastError) !== blocking.note)) {
+        validationUpdates.push(
+          { range: cell("status", i + 1), values: [[blocking.status]] },
+          { range: cell("lastError", i + 1), values: [[blocking.note]] }
+        );
+        console.warn(`${blocking.status} row ${i + 1}: ${blocking.note}`);
+      }
+      continue;
+    }
+
+    if (!action) {
+      if (FLAG_STATUSES.includes(status)) clearFlag(i + 1);
+      clearApproval(row, i + 1);
+      continue;
+    }
+
+    const validationError = action.error || reasonInput.error;
+    if (validationError) {
+      if (status !== "VALIDATION_ERROR" || cellString(row, cols.lastError) !== validationError) {
+        validationUpdates.push(
+          { range: cell("status", i + 1), values: [["VALIDATION_ERROR"]] },
+          { range: cell("lastError", i + 1), values: [[validationError]] }
+        );
+        console.warn(`VALIDATION_ERROR row ${i + 1}: ${validationError}`);
+      }
+      continue;
+    }
+
+    // A push that may already be in Shopify (see NEEDS_CHECK below)
+    if (status === "NEEDS_CHECK") continue; // waiting for a person
+    if (status === "CONFLICT" || status === "GAVE_UP") continue; // waiting for a person
+
+    // ERROR rows wait for their backoff
+    const retryAtMs = Date.parse(cellString(row, cols.nextRetryAt));
+    if (status === "ERROR" && retryAtMs > Date.now()) continue;
+
+    if (action.hasChange) {
+      const itemStatus = cellString(row, cols.itemStatus);
+      if (INACTIVE_ITEM_STATUSES.includes(itemStatus)) {
+        console.warn(`Skipping row ${i + 1}: Item_Status is ${itemStatus}.`);
+        continue;
+      }
+
+      if (!LOCATION_IDS.includes(locationId)) {
+        console.warn(`Skipping row ${i + 1}: location ${locationId} is not in SHOPIFY_LOCATION_IDS.`);
+        continue;
+      }
+
+      // Large changes wait for a second person's name in Approved_By. The
+      // approval only counts for the value that was held (Approval_Value, which
+      // no push outcome overwrites, so it survives ERROR / CONFLICT / CONFIRMED):
+      // a cell edited after it was approved is held again, and the stale approval is cleared.
+      const approvalRequired =
+        approvalThreshold !== null && needsApproval(action.change, action.base, approvalThreshold);
+      const inputValue = cellString(row, cols[action.input]);
+      const lastError = cellString(row, cols.lastError);
+      const heldValue = cellString(row, cols.approvalValue);
+      const approvedBy = approvalRequired ? approverOf(row[cols.approvedBy]) : "";
+      const approvalValid = approvedBy !== "" && heldValue !== "" && heldValue === inputValue;
+      if (approvalRequired && !approvalValid) {
+        const baseHeader = action.name === "on_hand" ? "On_Hand" : "Available";
+        const msg =
+          (action.action === "move" ? `Move of ${action.change}` : `Change of ${formatDelta(action.change)}`) +
+          ` is above APPROVAL_THRESHOLD=${CONFIG.approvalThreshold}` +
+          (action.base === null ? "" : ` (${baseHeader} ${action.base})`) +
+          ". A second person must enter their name in Approved_By before it is pushed.";
+        if (heldValue !== inputValue) {
+          validationUpdates.push({ range: cell("approvalValue", i + 1), values: [[inputValue]] });
+        }
+        if (approvedBy) {
+          validationUpdates.push({ range: cell("approvedBy", i + 1), values: [[""]] });
+          console.warn(`Row ${i + 1}: Approved_By (${approvedBy}) was not given for this value; cleared.`);
+        }
+        if (status !== "NEEDS_APPROVAL" || lastError !== msg) {
+          validationUpdates.push(
+            { range: cell("status", i + 1), values: [["NEEDS_APPROVAL"]] },
+            { range: cell("lastError", i + 1), values: [[msg]] }
+          );
+          console.warn(`NEEDS_APPROVAL row ${i + 1}: ${msg}`);
+        }
+        continue;
+      }
+
+      eligible.push({
         rowIndex1Based: i + 1,
         inventoryItemId: invItemGid,
-        desired,
+        locationId,
+        sku,
+        action: action.action, // "set" | "adjust" | "move"
+        input: action.input, // column cleared after the push
+        name: action.name || null, // set: "available" | "on_hand"
+        desired: action.action === "set" ? action.quantity : null,
+        sheetQuantity: action.action === "set" ? action.sheetQuantity : null,
+        delta: action.action === "adjust" ? action.delta : null,
+        move: action.move || null,
         available,
+        status,
+        // consecutive failures so far; counting restarts when a person clears the status
+        attempts: status === "ERROR" ? normalizeInt(row[cols.attempts]) || 0 : 0,
+        approvedBy: approvalRequired ? approvedBy : "",
+        reason: reasonInput.reason,
       });
-      if (candidates.length >= CONFIG.maxRowsPerRun) break;
+    } else {
+      if (FLAG_STATUSES.includes(status)) clearFlag(i + 1);
+      clearApproval(row, i + 1);
     }
   }
 
-  console.log(`Found ${candidates.length} candidate rows (Desired != Available).`);
+  // Healthy rows first, retries after, so failing rows cannot crowd them out
+  // of the budget. Rows that do not fit wait as QUEUED.
+  const ordered = [
+    ...eligible.filter((c) => c.status !== "ERROR"),
+    ...eligible.filter((c) => c.status === "ERROR"),
+  ];
+  const candidates = ordered.slice(0, CONFIG.maxRowsPerRun);
+  const overflow = ordered.slice(CONFIG.maxRowsPerRun);
+
+  console.log(
+    `Found ${eligible.length} candidate rows (Desired != Available, +N/-N, On_Hand targets, moves); ` +
+      `${candidates.length} this run, ${overflow.length} left for later.`
+  );
   console.log(candidates.slice(0, 10));
 
-  if (candidates.length === 0) return;
-
-// Refresh status for new desired values (so it doesn't stay "SYNCED" forever)
-await sheets.spreadsheets.values.batchUpdate({
-  spreadsheetId: CONFIG.spreadsheetId,
-  requestBody: {
-    valueInputOption: "RAW",
-    data: candidates.map((c) => ({
-      range: `${CONFIG.sheetName}!${CONFIG.col.status}${c.rowIndex1Based}`,
-      values: [["QUEUED"]],
-    })),
-  },
-});
+  if (validationUpdates.length) {
+    if (plan) plan.addSheetUpdates(validationUpdates, { rows, itemColumnIndex: cols.inventoryItemId });
+    else await batchUpdateValues(sheets, CONFIG.spreadsheetId, validationUpdates);
+  }
 
-// Mark PENDING right before pushing to Shopify
-await sheets.spreadsheets.values.batchUpdate({
-  spreadsheetId: CONFIG.spreadsheetId,
-  requestBody: {
-    valueInputOption: "RAW",
-    data: candidates.map((c) => ({
-      range: `${CONFIG.sheetName}!${CONFIG.col.status}${c.rowIndex1Based}`,
-      values: [["PENDING"]],
-    })),
-  },
-});
+  if (candidates.length === 0) {
+    if (plan) await plan.report({ sheets, spreadsheetId: CONFIG.spreadsheetId });
+    return;
+  }
+
+  // One batched lookup of the live quantities, reused for the sanity check
+  // below and for COMPARE_QUANTITY_STALE retries
+  const liveLevels = await fetchLevelQuantities(candidates);
+  for (const c of candidates) {
+    c.level = liveLevels.get(itemLocationKey(c.inventoryItemId, c.locationId)) ?? null; // all states
+    c.live = c.level?.[c.action === "set" ? c.name : "available"] ?? null;
+    if (c.live === null) {
+      console.warn(`Row ${c.rowIndex1Based}: ${c.inventoryItemId} has no inventory level at ${c.locationId}.`);
+    } else if (c.action === "set" && c.live !== c.sheetQuantity) {
+      const header = TRUTH_TABLE_HEADERS[SET_COLUMNS[c.name].quantity];
+      console.warn(
+        `Row ${c.rowIndex1Based}: sheet ${header}=${c.sheetQuantity} but Shopify has ${c.live} (CONFLICT_POLICY=${CONFIG.conflictPolicy}).`
+      );
+    }
+    applyConflictPolicy(c);
+  }
+
+  // Writes for optional columns; nothing when the header is missing
+  const optionalCell = (key, rowIndex1Based, value) =>
+    cols[key] === -1 ? [] : [{ range: cell(key, rowIndex1Based), values: [[value]] }];
+
+  // Sheet writes after a successful push
+  const syncedUpdates = (c) => [
+    { range: cell("status", c.rowIndex1Based), values: [["SYNCED"]] },
+    { range: cell("lastPushedAt", c.rowIndex1Based), values: [[nowIso()]] },
+    { range: cell("lastError", c.rowIndex1Based), values: [[""]] },
+    { range: cell(c.input, c.rowIndex1Based), values: [[""]] }, // clear Desired_Available / Desired_On_Hand / Move
+    ...optionalCell("attempts", c.rowIndex1Based, ""),
+    ...optionalCell("nextRetryAt", c.rowIndex1Based, ""),
+    ...optionalCell("approvedBy", c.rowIndex1Based, ""), // an approval covers one push
+    ...optionalCell("approvalValue", c.rowIndex1Based, ""),
+    ...optionalCell("reason", c.rowIndex1Based, ""), // like Desired_Available, a reason belongs to one edit
+  ];
+
+  // Quantity state columns (On_Hand, Damaged, ...) after a push, from Shopify's
+  // changes; Available itself is left to forward sync as before
+  const stateUpdates = (c, group) =>
+    (group?.changes || []).flatMap((change) => {
+      const key = Object.keys(QUANTITY_STATE_COLUMNS).find((k) => QUANTITY_STATE_COLUMNS[k] === change.name);
+      return key ? optionalCell(key, c.rowIndex1Based, change.quantityAfterChange) : [];
+    });
+
+  // Audit field for a push, with the reason and the approver when there were any
+  const pushField = (c, name) => {
+    const details = [
+      c.action === "adjust" ? formatDelta(c.delta) : null,
+      c.action === "move" ? `move ${formatMove(c.move)}` : null,
+      c.reason || null,
+      c.approvedBy ? `approved by ${c.approvedBy}` : null,
+    ];
+    const shown = details.filter(Boolean).join(", ");
+    return shown ? `${name} (${shown})` : name;
+  };
 
-  // Process one-by-one (safe + clear logs)
   const updates = [];
+  const markError = (c, err) => {
+    const msg = String(err?.message || err).slice(0, 450);
+    const attempts = c.attempts + 1;
+    const status = attempts >= CONFIG.maxPushAttempts ? "GAVE_UP" : "ERROR";
+
+    updates.push(
+      { range: cell("status", c.rowIndex1Based), values: [[status]] },
+      { range: cell("lastError", c.rowIndex1Based), values: [[msg]] },
+      ...optionalCell("attempts", c.rowIndex1Based, attempts),
+      ...optionalCell("nextRetryAt", c.rowIndex1Based, status === "ERROR" ? nextRetryIso(attempts) : "")
+    );
+
+    console.error(`${status} row ${c.rowIndex1Based} (attempt ${attempts}/${CONFIG.maxPushAttempts}): ${msg}`);
+  };
+
+  const markConflict = (c, { expected, actual }) => {
+    const inputHeader = TRUTH_TABLE_HEADERS[c.input];
+    const msg =
+      `Expected Shopify ${TRUTH_TABLE_HEADERS[SET_COLUMNS[c.name].quantity]}=${expected} (sheet) but it is ${actual}; ` +
+      `${inputHeader}=${c.desired} was not pushed. ` +
+      `Set ReverseSync_Status to CONFIRMED to push it anyway, or fix ${inputHeader} and clear the status.`;
+
+    updates.push(
+      { range: cell("status", c.rowIndex1Based), values: [["CONFLICT"]] },
+      { range: cell("lastError", c.rowIndex1Based), values: [[msg]] }
+    );
+
+    console.warn(`CONFLICT row ${c.rowIndex1Based}: ${msg}`);
+  };
+
+  const markInvalid = (c, msg) => {
+    updates.push(
+      { range: cell("status", c.rowIndex1Based), values: [["VALIDATION_ERROR"]] },
+      { range: cell("lastError", c.rowIndex1Based), values: [[msg]] }
+    );
+    console.warn(`VALIDATION_ERROR row ${c.rowIndex1Based}: ${msg}`);
+  };
+
+  // A delta, move or hold / rebase target that may already be in Shopify;
+  // pushing it again would apply it twice. Park it until someone checks.
+  const markNeedsCheck = (c, why) => {
+    const what =
+      c.action === "move"
+        ? `Move ${formatMove(c.move)}`
+        : c.action === "adjust"
+          ? `Delta ${formatDelta(c.delta)}`
+          : `Setting ${c.name} to ${c.quantity}`;
+    const msg =
+      `${what} ${why} ` +
+      `Check Shopify, fix ${TRUTH_TABLE_HEADERS[c.input]} if needed, then clear ReverseSync_Status.`;
+    updates.push(
+      { range: cell("status", c.rowIndex1Based), values: [["NEEDS_CHECK"]] },
+      { range: cell("lastError", c.rowIndex1Based), values: [[msg]] }
+    );
+    console.warn(`NEEDS_CHECK row ${c.rowIndex1Based}: ${msg}`);
+  };
+
+  const ready = [];
   for (const c of candidates) {
-    try {
-      await shopifyInventorySetAvailable({
-        inventoryItemId: c.inventoryItemId,
-        locationId: CONFIG.locationId,
-        quantity: c.desired,
-        compareQuantity: c.available, // CAS safety
+    if (c.action !== "set" && c.status === "PENDING") {
+      markNeedsCheck(c, "was left PENDING by an earlier run and may already be applied.");
+      continue;
+    }
+
+    if (c.live === null) {
+      markError(c, `Item is not stocked at ${c.locationId} or no longer exists in Shopify (inventoryItemId=${c.inventoryItemId}).`);
+      continue;
+    }
+
+    if (c.conflict) {
+      markConflict(c, c.conflict);
+      continue;
+    }
+
+    if (c.invalid) {
+      markInvalid(c, c.invalid);
+      continue;
+    }
+
+    ready.push(c);
+  }
+
+  // QUEUED must not replace a status that carries information: ERROR (attempt
+  // count), CONFIRMED (a person's decision) or a PENDING delta / move (NEEDS_CHECK guard)
+  const canQueue = (c) =>
+    c.status !== "QUEUED" &&
+    c.status !== "ERROR" &&
+    c.status !== "CONFIRMED" &&
+    !(c.action !== "set" && c.status === "PENDING");
+
+  const queuedUpdates = overflow
+    .filter(canQueue)
+    .map((c) => ({ range: cell("status", c.rowIndex1Based), values: [["QUEUED"]] }));
+
+  // Same outcomes as a live run: rows parked as NEEDS_CHECK, ERROR (no level),
+  // CONFLICT, VALIDATION_ERROR (rebased target) or QUEUED show up as sheet changes, only the rest as Shopify pushes
+  if (plan) {
+    plan.addSheetUpdates([...updates, ...queuedUpdates], { rows, itemColumnIndex: cols.inventoryItemId });
+    for (const c of ready) {
+      plan.add({
+        target: "shopify",
+        row: c.rowIndex1Based,
+        item: c.inventoryItemId,
+        field:
+          (c.action === "set"
+            ? `${c.name} @ ${c.locationId}`
+            : c.action === "adjust"
+              ? `available @ ${c.locationId} (adjust)`
+              : `${c.move.from} → ${c.move.to} @ ${c.locationId}`) +
+          (c.reason ? `, reason ${c.reason}` : "") +
+          (c.approvedBy ? `, approved by ${c.approvedBy}` : ""),
+        oldValue: c.action === "move" ? (c.level?.[c.move.from] ?? "") : (c.live ?? c.sheetQuantity ?? c.available),
+        newValue: c.action === "set" ? c.quantity : c.action === "adjust" ? formatDelta(c.delta) : c.move.quantity,
       });
+      plan.addSheetUpdates(syncedUpdates(c), { rows, itemColumnIndex: cols.inventoryItemId });
+    }
+    await plan.report({ sheets, spreadsheetId: CONFIG.spreadsheetId });
+    return;
+  }
 
-      updates.push(
-        { range: `${CONFIG.sheetName}!${CONFIG.col.status}${c.rowIndex1Based}`, values: [[""]] },
-        { range: `${CONFIG.sheetName}!${CONFIG.col.lastPushedAt}${c.rowIndex1Based}`, values: [[nowIso()]] },
-        { range: `${CONFIG.sheetName}!${CONFIG.col.lastError}${c.rowIndex1Based}`, values: [[""]] },
-        { range: `${CONFIG.sheetName}!${CONFIG.col.desired}${c.rowIndex1Based}`, values: [[""]] } // clear Desired_Available
-      );
+  const audit = createAuditLog({ job: "reverse-sync" });
 
-      console.log(`SYNCED row ${c.rowIndex1Based}: ${c.inventoryItemId} ${c.available} -> ${c.desired}`);
-    } catch (err) {
-      const msg = String(err?.message || err).slice(0, 450);
+  // One write: PENDING right before pushing, QUEUED for rows over the budget
+  await batchUpdateValues(sheets, CONFIG.spreadsheetId, [
+    ...ready.map((c) => ({ range: cell("status", c.rowIndex1Based), values: [["PENDING"]] })),
+    ...queuedUpdates,
+  ]);
 
-      updates.push(
-        { range: `${CONFIG.sheetName}!${CONFIG.col.status}${c.rowIndex1Based}`, values: [["ERROR"]] },
-        { range: `${CONFIG.sheetName}!${CONFIG.col.lastError}${c.rowIndex1Based}`, values: [[msg]] }
-      );
+  // Multi-item mutations; userErrors are mapped back to their rows
+  const results = await pushCandidates(ready, audit.runId);
 
-      console.error(`ERROR row ${c.rowIndex1Based}: ${msg}`);
+  for (const c of ready) {
+    const result = results.get(c.rowIndex1Based);
+    if (result?.conflict) {
+      markConflict(c, result.conflict);
+      continue;
+    }
+    if (result?.invalid) {
+      markInvalid(c, result.invalid);
+      continue;
     }
+    if (result?.error?.outcomeUnknown) {
+      markNeedsCheck(c, `may or may not have been applied (${String(result.error.message).slice(0, 300)}).`);
+      continue;
+    }
+    if (!result?.group) {
+      markError(c, result?.error || "No result from Shopify.");
+      continue;
+    }
+
+    const group = result.group;
+    updates.push(...syncedUpdates(c), ...stateUpdates(c, group));
+
+    // A move changes two states; one audit row each
+    if (c.action === "move") {
+      for (const change of group.changes) {
+        audit.record({
+          inventoryItemId: c.inventoryItemId,
+          locationId: c.locationId,
+          sku: c.sku,
+          field: pushField(c, change.name),
+          oldValue: change.quantityAfterChange - change.delta,
+          newValue: change.quantityAfterChange,
+          adjustmentGroup: group,
+        });
+      }
+      console.log(`SYNCED row ${c.rowIndex1Based}: ${c.inventoryItemId} @ ${c.locationId} moved ${formatMove(c.move)}`);
+      continue;
+    }
+
+    // After a stale retry (or for a delta) the real "before" value is Shopify's, not the sheet's
+    const name = c.action === "set" ? c.name : "available";
+    const change = group.changes.find((x) => x.name === name);
+    const before = change ? change.quantityAfterChange - change.delta : c.action === "set" ? c.sheetQuantity : c.available;
+    const after = change ? change.quantityAfterChange : c.desired;
+    audit.record({
+      inventoryItemId: c.inventoryItemId,
+      locationId: c.locationId,
+      sku: c.sku,
+      field: pushField(c, name),
+      oldValue: before,
+      newValue: after,
+      adjustmentGroup: group,
+    });
+
+    console.log(
+      c.action === "set"
+        ? `SYNCED row ${c.rowIndex1Based}: ${c.inventoryItemId} @ ${c.locationId} ${name} ${before} -> ${after}`
+        : `SYNCED row ${c.rowIndex1Based}: ${c.inventoryItemId} @ ${c.locationId} adjusted ${formatDelta(c.delta)} -> ${after}`
+    );
   }
 
-  // Write back statuses/errors in one batch
-  await sheets.spreadsheets.values.batchUpdate({
-    spreadsheetId: CONFIG.spreadsheetId,
-    requestBody: {
-      valueInputOption: "RAW",
-      data: updates,
-    },
-  });
+  // Write back statuses/errors (chunked for large runs)
+  await batchUpdateValues(sheets, CONFIG.spreadsheetId, updates);
+
+  await audit.flush(sheets, CONFIG.spreadsheetId);
 
   console.log("Done.");
 }
@@ -0,0 +1,48 @@
+// scripts/send-sample-webhook.mjs (ESM)
+// Goal: Send a signed inventory_levels/update webhook to a local receiver
+// (FORWARD_SYNC_MODE=webhook node index.mjs).
+//
+// Usage:
+//   SHOPIFY_WEBHOOK_SECRET=... node scripts/send-sample-webhook.mjs <inventory_item_id> <location_id> <available>
+
+import crypto from "node:crypto";
+
+const url = process.env.WEBHOOK_URL || "http://localhost:8080/webhooks/shopify";
+const secret = process.env.SHOPIFY_WEBHOOK_SECRET;
+
+async function main() {
+  if (!secret) throw new Error("Missing env var: SHOPIFY_WEBHOOK_SECRET");
+
+  const [inventoryItemId, locationId, available] = process.argv.slice(2);
+  if (!inventoryItemId || !locationId || available === undefined) {
+    throw new Error("Usage: node scripts/send-sample-webhook.mjs <inventory_item_id> <location_id> <available>");
+  }
+
+  const body = JSON.stringify({
+    inventory_item_id: Number(inventoryItemId),
+    location_id: Number(locationId),
+    available: Number(available),
+    updated_at: new Date().toISOString(),
+  });
+  const hmac = crypto.createHmac("sha256", secret).update(body).digest("base64");
+
+  const resp = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Shopify-Topic": "inventory_levels/update",
+      "X-Shopify-Hmac-Sha256": hmac,
+      "X-Shopify-Webhook-Id": process.env.WEBHOOK_ID || crypto.randomUUID(),
+      "X-Shopify-Triggered-At": new Date().toISOString(),
+    },
+    body,
+  });
+
+  console.log(`HTTP ${resp.status}: ${await resp.text()}`);
+  if (!resp.ok) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error("Send failed:", err?.message || err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,120 @@
+// test/reverse-sync.test.mjs (ESM)
+// Goal: Runs reverse-sync.mjs against the fakes in test/support and checks
+// what ends up in Shopify and in Truth_Table.
+
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const FAKE_SERVICES = new URL("./support/fake-services.mjs", import.meta.url).href;
+
+const ITEM = "gid://shopify/InventoryItem/1";
+const LOCATION = "gid://shopify/Location/1";
+const HEADER = [
+  "InventoryItem_ID",
+  "Available",
+  "Desired_Available",
+  "ReverseSync_Status",
+  "ReverseSync_LastPushedAt",
+  "ReverseSync_LastError",
+];
+
+async function runReverseSync(state, env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "reverse-sync-test-"));
+  const stateFile = path.join(dir, "state.json");
+  fs.writeFileSync(stateFile, JSON.stringify(state));
+  try {
+    await promisify(execFile)(process.execPath, ["--import", FAKE_SERVICES, "reverse-sync.mjs"], {
+      cwd: ROOT,
+      timeout: 60000,
+      env: {
+        PATH: process.env.PATH,
+        SPREADSHEET_ID: "test-spreadsheet",
+        SHOPIFY_STORE_DOMAIN: "test.myshopify.com",
+        SHOPIFY_ADMIN_TOKEN: "test-token",
+        SHOPIFY_LOCATION_ID: LOCATION,
+        FAKE_STATE_FILE: stateFile,
+        ...env,
+      },
+    });
+    return JSON.parse(fs.readFileSync(stateFile, "utf8"));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function rowOf(state, rowNumber) {
+  return Object.fromEntries(state.sheet[0].map((header, i) => [header, state.sheet[rowNumber - 1][i] ?? ""]));
+}
+
+// Sheet Available 10, Desired_Available 15; the set lands in Shopify, then the call answers 502
+function appliedThen502(live) {
+  return {
+    sheet: [HEADER, [ITEM, 10, 15, "", "", ""]],
+    levels: { [`${ITEM}|${LOCATION}`]: { available: live } },
+    failAfterApply: { inventorySetQuantities: 1 },
+  };
+}
+
+test("rebase: a set that landed before a 502 is not rebased and pushed again", async () => {
+  const state = await runReverseSync(appliedThen502(12), { CONFLICT_POLICY: "rebase" });
+
+  assert.equal(state.levels[`${ITEM}|${LOCATION}`].available, 17); // 12 + (15 - 10), once
+  assert.equal(state.mutations.length, 1);
+  assert.equal(rowOf(state, 2).ReverseSync_Status, "NEEDS_CHECK");
+  assert.equal(rowOf(state, 2).Desired_Available, 15);
+});
+
+test("hold: a set that landed before a 502 goes to NEEDS_CHECK, not CONFLICT", async () => {
+  const state = await runReverseSync(appliedThen502(10), { CONFLICT_POLICY: "hold" });
+
+  assert.equal(state.levels[`${ITEM}|${LOCATION}`].available, 15);
+  assert.equal(state.mutations.length, 1);
+  assert.equal(rowOf(state, 2).ReverseSync_Status, "NEEDS_CHECK");
+});
+
+test("overwrite: a set is resent after a 502 and ends SYNCED", async () => {
+  const state = await runReverseSync(appliedThen502(12), { CONFLICT_POLICY: "overwrite" });
+
+  assert.equal(state.levels[`${ITEM}|${LOCATION}`].available, 15);
+  assert.equal(rowOf(state, 2).ReverseSync_Status, "SYNCED");
+  assert.equal(rowOf(state, 2).Desired_Available, "");
+});
+
+// Approval: Available 10, Desired_Available 15, APPROVAL_THRESHOLD=2
+function approvedRow(status, approvalValue) {
+  return {
+    sheet: [
+      [...HEADER, "Approved_By", "Approval_Value"],
+      [ITEM, 10, 15, status, "", "Shopify HTTP 502", "Bob", approvalValue],
+    ],
+    levels: { [`${ITEM}|${LOCATION}`]: { available: 10 } },
+  };
+}
+
+for (const status of ["ERROR", "CONFIRMED", "NEEDS_APPROVAL"]) {
+  test(`approval: an approved value is pushed from ${status}`, async () => {
+    const state = await runReverseSync(approvedRow(status, "15"), { APPROVAL_THRESHOLD: "2" });
+
+    assert.equal(state.levels[`${ITEM}|${LOCATION}`].available, 15);
+    assert.equal(rowOf(state, 2).ReverseSync_Status, "SYNCED");
+    assert.equal(rowOf(state, 2).Approved_By, "");
+    assert.equal(rowOf(state, 2).Approval_Value, "");
+  });
+}
+
+test("approval: an edited value is held again and the approval cleared", async () => {
+  const state = await runReverseSync(approvedRow("ERROR", "14"), { APPROVAL_THRESHOLD: "2" });
+
+  assert.equal(state.levels[`${ITEM}|${LOCATION}`].available, 10);
+  assert.equal(state.mutations.length, 0);
+  assert.equal(rowOf(state, 2).ReverseSync_Status, "NEEDS_APPROVAL");
+  assert.equal(rowOf(state, 2).Approved_By, "");
+  assert.equal(rowOf(state, 2).Approval_Value, "15");
+});
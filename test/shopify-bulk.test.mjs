@@ -0,0 +1,69 @@
+// test/shopify-bulk.test.mjs (ESM)
+// Goal: runBulkQuery against a fake Shopify whose first bulkOperationRunQuery
+// call answers 502.
+
+import assert from "node:assert/strict";
+import { afterEach, test } from "node:test";
+
+process.env.SHOPIFY_STORE_DOMAIN = "test.myshopify.com";
+process.env.SHOPIFY_ADMIN_TOKEN = "test-token";
+
+const { runBulkQuery } = await import("../lib/shopify-bulk.mjs");
+
+const QUERY = "{ inventoryItems { edges { node { id } } } }";
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+}
+
+/**
+ * currentOperation: what currentBulkOperation reports after the failed start.
+ * Returns the names of the operations sent, in order.
+ */
+function fakeShopify(currentOperation) {
+  const calls = [];
+  let starts = 0;
+  globalThis.fetch = async (url, { body }) => {
+    const { query, variables } = JSON.parse(body);
+    const name = /(?:mutation|query)\s+(\w+)/.exec(query)[1];
+    calls.push(name);
+
+    if (name === "RunBulkQuery") {
+      starts++;
+      if (starts === 1) return json({ errors: "Bad Gateway" }, 502);
+      const bulkOperation = { id: "op-2", status: "CREATED" };
+      return json({ data: { bulkOperationRunQuery: { bulkOperation, userErrors: [] } } });
+    }
+    if (name === "CurrentBulkOperation") return json({ data: { currentBulkOperation: currentOperation } });
+    if (name === "GetBulkOperation") {
+      const node = { id: variables.id, status: "COMPLETED", objectCount: 0, url: `https://results/${variables.id}` };
+      return json({ data: { node } });
+    }
+    throw new Error(`unexpected query ${name}`);
+  };
+  return calls;
+}
+
+test("an operation started by a call that answered 502 is picked up, not started again", async () => {
+  const createdAt = new Date().toISOString();
+  const calls = fakeShopify({ id: "op-1", status: "RUNNING", query: `\n  ${QUERY}\n`, createdAt });
+
+  const url = await runBulkQuery(QUERY, { pollIntervalMs: 1 });
+
+  assert.equal(url, "https://results/op-1");
+  assert.deepEqual(calls, ["RunBulkQuery", "CurrentBulkOperation", "GetBulkOperation"]);
+});
+
+test("a call that answered 502 without starting an operation is sent again", async () => {
+  const calls = fakeShopify({ id: "op-0", status: "COMPLETED", query: QUERY, createdAt: "2020-01-01T00:00:00Z" });
+
+  const url = await runBulkQuery(QUERY, { pollIntervalMs: 1 });
+
+  assert.equal(url, "https://results/op-2");
+  assert.deepEqual(calls, ["RunBulkQuery", "CurrentBulkOperation", "RunBulkQuery", "GetBulkOperation"]);
+});
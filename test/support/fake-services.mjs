@@ -0,0 +1,117 @@
+// test/support/fake-services.mjs (ESM)
+// Goal: Preloaded with --import into a job run by a test. Replaces the Sheets
+// API (see hooks.mjs) and fetch with in-memory fakes whose state comes from the
+// JSON file in FAKE_STATE_FILE and is written back to it when the job exits:
+//   { sheet: [[header...], [row...]], levels: { "item|location": { available, ... } },
+//     failAfterApply: { inventorySetQuantities: 1 } }
+// failAfterApply makes the next N calls of a mutation apply and then answer 502.
+
+import fs from "node:fs";
+import { register } from "node:module";
+import { parseCellA1 } from "../../lib/truth-table-schema.mjs";
+
+register("./hooks.mjs", import.meta.url);
+
+const stateFile = process.env.FAKE_STATE_FILE;
+const state = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+state.failAfterApply ||= {};
+state.mutations ||= [];
+globalThis.fakeState = state;
+
+process.on("exit", () => {
+  fs.writeFileSync(stateFile, JSON.stringify(state));
+});
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+}
+
+function levelQuantities(level) {
+  return Object.entries(level).map(([name, quantity]) => ({ name, quantity }));
+}
+
+function inventorySetQuantities({ name, quantities }) {
+  const levelOf = (q) => state.levels[`${q.inventoryItemId}|${q.locationId}`];
+  const stale = quantities.findIndex((q) => levelOf(q)?.[name] !== q.compareQuantity);
+  if (stale !== -1) {
+    const field = ["input", "quantities", String(stale), "compareQuantity"];
+    const userErrors = [{ code: "COMPARE_QUANTITY_STALE", field, message: "stale" }];
+    return { inventoryAdjustmentGroup: null, userErrors };
+  }
+
+  const changes = quantities.map((q) => {
+    const level = levelOf(q);
+    const delta = q.quantity - level[name];
+    level[name] = q.quantity;
+    return {
+      name,
+      delta,
+      quantityAfterChange: q.quantity,
+      item: { id: q.inventoryItemId },
+      location: { id: q.locationId },
+    };
+  });
+  const group = { createdAt: new Date().toISOString(), reason: "correction", changes };
+  return { inventoryAdjustmentGroup: group, userErrors: [] };
+}
+
+globalThis.fetch = async (url, { body }) => {
+  const { query, variables } = JSON.parse(body);
+
+  if (query.includes("GetLevelQuantities")) {
+    const nodes = variables.ids.map((id) => {
+      const level = state.levels[`${id}|${variables.locationId}`];
+      return { id, inventoryLevel: level ? { quantities: levelQuantities(level) } : null };
+    });
+    return json({ data: { nodes } });
+  }
+
+  if (query.includes("inventorySetQuantities(")) {
+    state.mutations.push({ mutation: "inventorySetQuantities", input: variables.input });
+    const payload = inventorySetQuantities(variables.input);
+    if (state.failAfterApply.inventorySetQuantities > 0) {
+      state.failAfterApply.inventorySetQuantities--;
+      return json({ errors: "Bad Gateway" }, 502);
+    }
+    return json({ data: { inventorySetQuantities: payload } });
+  }
+
+  throw new Error(`fake Shopify: unexpected query ${query.slice(0, 80)}`);
+};
+
+/**
+ * The Sheets API subset lib/sheets.mjs uses, on state.sheet (the Truth_Table tab).
+ * Other tabs (Audit_Log, Plan_<job>) exist but accept writes without keeping them.
+ */
+export function createSheetsFake() {
+  const columnValues = (range) => {
+    const { columnIndex } = parseCellA1(`${range.split(":")[0]}1`);
+    return state.sheet.map((row) => row[columnIndex] ?? "");
+  };
+
+  return {
+    spreadsheets: {
+      get: async () => ({
+        data: { sheets: ["Truth_Table", "Audit_Log"].map((title, sheetId) => ({ properties: { title, sheetId } })) },
+      }),
+      batchUpdate: async () => ({ data: {} }),
+      values: {
+        get: async () => ({ data: { values: [state.sheet[0]] } }),
+        batchGet: async ({ ranges }) => ({
+          data: { valueRanges: ranges.map((range) => ({ values: [columnValues(range)] })) },
+        }),
+        batchUpdate: async ({ requestBody }) => {
+          for (const { range, values } of requestBody.data) {
+            if (!range.startsWith("Truth_Table!")) continue;
+            const { columnIndex, rowNumber } = parseCellA1(range);
+            state.sheet[rowNumber - 1][columnIndex] = values[0][0];
+          }
+          return { data: {} };
+        },
+        update: async () => ({ data: {} }),
+        append: async () => ({ data: {} }),
+        clear: async () => ({ data: {} }),
+      },
+    },
+  };
+}
@@ -0,0 +1,15 @@
+// test/support/googleapis-fake.mjs (ESM)
+// Goal: Stands in for the googleapis package (see hooks.mjs).
+
+import { createSheetsFake } from "./fake-services.mjs";
+
+export const google = {
+  auth: {
+    GoogleAuth: class {
+      async getClient() {
+        return {};
+      }
+    },
+  },
+  sheets: () => createSheetsFake(),
+};
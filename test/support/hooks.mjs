@@ -0,0 +1,10 @@
+// test/support/hooks.mjs (ESM)
+// Goal: Module hooks for job runs under test: "googleapis" resolves to the
+// in-memory Sheets fake, so no Google credentials are needed.
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === "googleapis") {
+    return { url: new URL("./googleapis-fake.mjs", import.meta.url).href, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
@@ -1,18 +1,19 @@
 // update-product-metadata.mjs (ESM)
 // Goal: Update Category/Product_Title/Variant_Title/SKU columns for existing rows.
 
-import { google } from "googleapis";
+import { createAuditLog } from "./lib/audit-log.mjs";
+import { createChangePlan, isDryRun } from "./lib/change-plan.mjs";
+import { batchUpdateValues, getSheetsClient, readTable } from "./lib/sheets.mjs";
+import { shopifyGraphql } from "./lib/shopify-client.mjs";
+import { columnLetter } from "./lib/truth-table-schema.mjs";
 
 const CONFIG = {
   spreadsheetId: process.env.SPREADSHEET_ID,
   sheetName: process.env.SHEET_NAME || "Truth_Table",
 
-  headers: {
-    category: "Category",
-    productTitle: "Product_Title",
-    variantTitle: "Variant_Title",
-    sku: "SKU",
-    inventoryItemId: "InventoryItem_ID",
+  // Columns are resolved from the header row (lib/truth-table-schema.mjs)
+  columns: {
+    required: ["category", "productTitle", "variantTitle", "sku", "inventoryItemId"],
   },
 
   maxRowsPerRun: Number(process.env.MAX_ROWS_PER_RUN || "500"),
@@ -30,35 +31,6 @@ function requireEnv(name) {
   return v;
 }
 
-async function getSheetsClient() {
-  const auth = new google.auth.GoogleAuth({
-    scopes: ["https://www.googleapis.com/auth/spreadsheets"],
-  });
-  return google.sheets({ version: "v4", auth });
-}
-
-async function shopifyGraphql(query, variables) {
-  const shopDomain = requireEnv("SHOPIFY_STORE_DOMAIN");
-  const token = requireEnv("SHOPIFY_ADMIN_TOKEN");
-  const url = `https://${shopDomain}/admin/api/2025-10/graphql.json`;
-
-  const resp = await fetch(url, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "X-Shopify-Access-Token": token,
-    },
-    body: JSON.stringify({ query, variables }),
-  });
-
-  const json = await resp.json().catch(() => ({}));
-
-  if (!resp.ok) throw new Error(`Shopify HTTP ${resp.status}: ${JSON.stringify(json).slice(0, 500)}`);
-  if (json.errors?.length) throw new Error(`Shopify GraphQL errors: ${JSON.stringify(json.errors).slice(0, 500)}`);
-
-  return json.data;
-}
-
 const GET_INVENTORY_ITEM_DETAILS = `
   query InventoryItemDetails($ids: [ID!]!) {
     nodes(ids: $ids) {
@@ -102,17 +74,6 @@ async function fetchInventoryItemDetails(ids) {
   return details;
 }
 
-function columnLetter(index) {
-  let result = "";
-  let n = index + 1;
-  while (n > 0) {
-    const rem = (n - 1) % 26;
-    result = String.fromCharCode(65 + rem) + result;
-    n = Math.floor((n - 1) / 26);
-  }
-  return result;
-}
-
 function shouldUpdateValue(currentValue, nextValue) {
   if (!nextValue) return false;
   return String(currentValue ?? "") !== String(nextValue);
@@ -130,33 +91,25 @@ async function main() {
   requireEnv("SHOPIFY_ADMIN_TOKEN");
 
   const sheets = await getSheetsClient();
-  const range = `${CONFIG.sheetName}!A:Z`;
 
-  const res = await sheets.spreadsheets.values.get({
+  // Header row + only the columns this job uses
+  const { rows, cols } = await readTable(sheets, {
     spreadsheetId: CONFIG.spreadsheetId,
-    range,
+    sheetName: CONFIG.sheetName,
+    columns: CONFIG.columns,
     valueRenderOption: "UNFORMATTED_VALUE",
   });
 
-  const rows = res.data.values || [];
   if (rows.length < 1) {
     console.log("No header row found.");
     return;
   }
 
-  const headers = rows[0];
-  const inventoryHeaderIndex = headers.indexOf(CONFIG.headers.inventoryItemId);
-  const categoryIndex = headers.indexOf(CONFIG.headers.category);
-  const productTitleIndex = headers.indexOf(CONFIG.headers.productTitle);
-  const variantTitleIndex = headers.indexOf(CONFIG.headers.variantTitle);
-  const skuIndex = headers.indexOf(CONFIG.headers.sku);
-
-  if (inventoryHeaderIndex === -1) {
-    throw new Error(`Missing header: ${CONFIG.headers.inventoryItemId}`);
-  }
-  if ([categoryIndex, productTitleIndex, variantTitleIndex, skuIndex].some((index) => index === -1)) {
-    throw new Error("Missing one or more metadata headers (Category/Product_Title/Variant_Title/SKU).");
-  }
+  const inventoryHeaderIndex = cols.inventoryItemId;
+  const categoryIndex = cols.category;
+  const productTitleIndex = cols.productTitle;
+  const variantTitleIndex = cols.variantTitle;
+  const skuIndex = cols.sku;
 
   const rowData = [];
   for (let i = 1; i < rows.length; i++) {
@@ -235,15 +188,20 @@ async function main() {
     return;
   }
 
+  if (isDryRun()) {
+    const plan = createChangePlan("update-product-metadata");
+    plan.addSheetUpdates(updates, { rows, itemColumnIndex: inventoryHeaderIndex });
+    await plan.report({ sheets, spreadsheetId: CONFIG.spreadsheetId });
+    return;
+  }
+
   console.log(`Updating metadata for ${updatedRows} rows...`);
 
-  await sheets.spreadsheets.values.batchUpdate({
-    spreadsheetId: CONFIG.spreadsheetId,
-    requestBody: {
-      valueInputOption: "RAW",
-      data: updates,
-    },
-  });
+  await batchUpdateValues(sheets, CONFIG.spreadsheetId, updates);
+
+  const audit = createAuditLog({ job: "update-product-metadata" });
+  audit.recordSheetUpdates(updates, { rows, cols });
+  await audit.flush(sheets, CONFIG.spreadsheetId);
 
   console.log("Metadata update complete.");
 }
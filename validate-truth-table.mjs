@@ -0,0 +1,162 @@
+// validate-truth-table.mjs (ESM)
+// Goal: Integrity check of Truth_Table, written to a Validation tab (rewritten
+// on every run). Finds rows sharing an item/location, SKUs used by different
+// items, malformed GIDs, empty SKUs (lib/truth-table-integrity.mjs), and items
+// of an excluded product type (EXCLUDE_PRODUCTTYPE_KEYWORDS) that are in the
+// sheet anyway. Changes nothing in Truth_Table.
+
+import { requireLocationIds, resolveRowLocationId } from "./lib/locations.mjs";
+import { getSheetsClient, readTable, replaceSheetTabValues } from "./lib/sheets.mjs";
+import { shopifyGraphql } from "./lib/shopify-client.mjs";
+import { INVENTORY_ITEM_GID_PATTERN, findTableIssues } from "./lib/truth-table-integrity.mjs";
+import { cellString } from "./lib/truth-table-schema.mjs";
+
+const CONFIG = {
+  spreadsheetId: process.env.SPREADSHEET_ID,
+  sheetName: process.env.SHEET_NAME || "Truth_Table",
+
+  // Columns are resolved from the header row (lib/truth-table-schema.mjs)
+  columns: {
+    required: ["inventoryItemId"],
+    optional: ["sku", "locationId"], // without SKU the SKU checks are skipped
+  },
+
+  excludeProductTypeKeywords: (process.env.EXCLUDE_PRODUCTTYPE_KEYWORDS || "bundle,subscription,box")
+    .split(",")
+    .map((value) => value.trim().toLowerCase())
+    .filter(Boolean),
+
+  shopDomain: process.env.SHOPIFY_STORE_DOMAIN,
+
+  validationSheetName: process.env.VALIDATION_SHEET || "Validation",
+};
+
+const VALIDATION_HEADERS = ["Checked_At", "Check", "Row", "InventoryItem_ID", "Location_ID", "SKU", "Note"];
+
+// Order of the groups in the Validation tab
+const CHECK_ORDER = ["DUPLICATE_ITEM", "MALFORMED_GID", "DUPLICATE_SKU", "EMPTY_SKU", "EXCLUDED_PRODUCT_TYPE"];
+
+function requireEnv(name) {
+  const v = process.env[name];
+  if (!v) throw new Error(`Missing env var: ${name}`);
+  return v;
+}
+
+const GET_PRODUCT_TYPES_QUERY = `
+  query GetProductTypes($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on InventoryItem {
+        id
+        variant {
+          product { productType }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * inventoryItemId -> productType, batches of 100. Deleted items are left out
+ * (mark-discontinued-items.mjs reports those).
+ */
+async function fetchProductTypes(ids) {
+  const result = new Map();
+  for (let i = 0; i < ids.length; i += 100) {
+    const batch = ids.slice(i, i + 100);
+    const data = await shopifyGraphql(GET_PRODUCT_TYPES_QUERY, { ids: batch });
+    for (const node of data?.nodes || []) {
+      if (!node?.id || !node.variant) continue;
+      result.set(node.id, node.variant.product?.productType || "");
+    }
+  }
+  return result;
+}
+
+function isExcludedProductType(productType, keywords) {
+  if (!productType) return false;
+  const normalized = String(productType).toLowerCase();
+  return keywords.some((keyword) => normalized.includes(keyword));
+}
+
+async function main() {
+  requireEnv("SPREADSHEET_ID");
+  requireEnv("SHOPIFY_STORE_DOMAIN");
+  requireEnv("SHOPIFY_ADMIN_TOKEN");
+  requireLocationIds();
+
+  const sheets = await getSheetsClient();
+
+  // Header row + only the columns this job uses
+  const { rows, cols } = await readTable(sheets, {
+    spreadsheetId: CONFIG.spreadsheetId,
+    sheetName: CONFIG.sheetName,
+    columns: CONFIG.columns,
+    valueRenderOption: "UNFORMATTED_VALUE",
+  });
+
+  if (rows.length < 2) {
+    console.log("No data rows found.");
+    return;
+  }
+
+  console.log(`Loaded ${rows.length - 1} rows from ${CONFIG.sheetName}.`);
+
+  const issues = findTableIssues(rows, cols, { resolveLocationId: resolveRowLocationId });
+
+  // Excluded product types need Shopify; malformed ids were reported above
+  const itemRows = [];
+  for (let i = 1; i < rows.length; i++) {
+    const inventoryItemId = cellString(rows[i], cols.inventoryItemId);
+    if (!INVENTORY_ITEM_GID_PATTERN.test(inventoryItemId)) continue;
+    itemRows.push({
+      row: i + 1,
+      inventoryItemId,
+      locationId: resolveRowLocationId(cellString(rows[i], cols.locationId)),
+      sku: cellString(rows[i], cols.sku),
+    });
+  }
+
+  if (CONFIG.excludeProductTypeKeywords.length && itemRows.length) {
+    const productTypes = await fetchProductTypes([...new Set(itemRows.map((e) => e.inventoryItemId))]);
+    for (const e of itemRows) {
+      const productType = productTypes.get(e.inventoryItemId);
+      if (!isExcludedProductType(productType, CONFIG.excludeProductTypeKeywords)) continue;
+      issues.push({
+        check: "EXCLUDED_PRODUCT_TYPE",
+        ...e,
+        note: `Product type "${productType}" matches EXCLUDE_PRODUCTTYPE_KEYWORDS`,
+      });
+    }
+  }
+
+  issues.sort((a, b) => CHECK_ORDER.indexOf(a.check) - CHECK_ORDER.indexOf(b.check) || a.row - b.row);
+
+  const counts = {};
+  for (const issue of issues) counts[issue.check] = (counts[issue.check] || 0) + 1;
+  console.log(`Validation: ${CHECK_ORDER.map((check) => `${counts[check] || 0} ${check}`).join(", ")}.`);
+
+  const checkedAt = new Date().toISOString();
+  const validationRows = issues.map((issue) => [
+    checkedAt,
+    issue.check,
+    issue.row,
+    issue.inventoryItemId,
+    issue.locationId || "",
+    issue.sku,
+    issue.note,
+  ]);
+
+  await replaceSheetTabValues(
+    sheets,
+    CONFIG.spreadsheetId,
+    CONFIG.validationSheetName,
+    VALIDATION_HEADERS,
+    validationRows
+  );
+  console.log(`Wrote ${validationRows.length} rows to ${CONFIG.validationSheetName}.`);
+}
+
+main().catch((err) => {
+  console.error("Validate Truth_Table failed:", err?.message || err);
+  process.exitCode = 1;
+});